@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * deepfetch: headless captures from the command line
+ *
+ *   deepfetch <url> [-o out.zip] [--proxy http://localhost:3001/proxy] [--har requests.har] [--warc capture.warc.gz]
+ *
+ * Runs the same capture engine as the web page. Without --proxy, resources are fetched
+ * directly (there is no CORS outside the browser). Exits with 0 on success, 1 when the
+ * capture failed and 2 on a usage error, so it can be driven from batch jobs.
+ */
+import { open, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { DOMParser } from 'linkedom';
+import CaptureEngine from '../src/capture-engine.js';
+import { writeZipArchive } from '../src/zip-stream.js';
+import { DEFAULT_OPTIONS, RESOURCE_TYPES } from '../src/download-options.js';
+
+// Phases that are off by default need a browser (live traffic) and stay off here
+const PHASES = Object.keys(DEFAULT_OPTIONS.phases).filter(phase => DEFAULT_OPTIONS.phases[phase]);
+
+const USAGE = `Usage: deepfetch <url> [options]
+
+Output
+  -o, --output <file>       ZIP archive to write (default: <host>-advanced-resources.zip)
+      --split-mb <n>        Split the ZIP into parts of at most n MB (<file>.partN.zip)
+      --har <file>          Also write every request as a HAR 1.2 file
+      --har-bodies          Include response bodies in the HAR file
+      --warc <file>         Also write a WARC/1.1 archive (.warc.gz)
+
+Network
+      --proxy <url>         Fetch through a CORS proxy, e.g. http://localhost:3001/proxy
+      --origin <origin>     Origin header sent to the proxy (default: http://localhost)
+      --proxy-token <token> Bearer token for the proxy (default: $DEEPFETCH_PROXY_TOKEN)
+      --timeout <seconds>   Request timeout (default: 120)
+      --retries <n>         Attempts per request (default: 4)
+      --concurrency <n>     Parallel requests (default: 6)
+      --per-host <n>        Parallel requests per host (default: 4)
+      --delay <ms>          Pause between requests to the same host (default: 0)
+
+Capture
+      --crawl               Follow same-origin links
+      --max-depth <n>       Crawl depth (default: 2)
+      --max-pages <n>       Crawl page limit (default: 20)
+      --scope <scope>       origin | path (default: origin)
+      --skip <phases>       Comma-separated phases to skip: ${PHASES.join(', ')}
+      --types <types>       Comma-separated resource types to keep: ${RESOURCE_TYPES.join(', ')}
+      --module-depth <n>    Module import depth (default: 3)
+      --guess-source-maps   Try <file>.map for scripts without a sourceMappingURL
+
+  -v, --verbose             Log every request
+  -q, --quiet               Only log errors
+  -h, --help                Show this help
+`;
+
+const ARGUMENTS = {
+    output: { type: 'string', short: 'o' },
+    'split-mb': { type: 'string' },
+    har: { type: 'string' },
+    'har-bodies': { type: 'boolean' },
+    warc: { type: 'string' },
+    proxy: { type: 'string' },
+    origin: { type: 'string', default: 'http://localhost' },
+    'proxy-token': { type: 'string' },
+    timeout: { type: 'string' },
+    retries: { type: 'string' },
+    concurrency: { type: 'string' },
+    'per-host': { type: 'string' },
+    delay: { type: 'string' },
+    crawl: { type: 'boolean' },
+    'max-depth': { type: 'string' },
+    'max-pages': { type: 'string' },
+    scope: { type: 'string' },
+    skip: { type: 'string' },
+    types: { type: 'string' },
+    'module-depth': { type: 'string' },
+    'guess-source-maps': { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function splitList(value, allowed, flag) {
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    const unknown = items.filter(item => !allowed.includes(item));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown ${flag} value: ${unknown.join(', ')}`);
+    }
+    return items;
+}
+
+// Command line flags -> raw options for normalizeOptions(), which clamps the numbers
+function buildOptions(values) {
+    const skipped = values.skip ? splitList(values.skip, PHASES, '--skip') : [];
+    const types = values.types ? splitList(values.types, RESOURCE_TYPES, '--types') : RESOURCE_TYPES;
+
+    return {
+        phases: Object.fromEntries(PHASES.map(phase => [phase, !skipped.includes(phase)])),
+        moduleGraphDepth: values['module-depth'],
+        guessSourceMaps: Boolean(values['guess-source-maps']),
+        resourceTypes: Object.fromEntries(RESOURCE_TYPES.map(type => [type, types.includes(type)])),
+        timeoutSeconds: values.timeout,
+        crawl: {
+            enabled: Boolean(values.crawl),
+            maxDepth: values['max-depth'],
+            maxPages: values['max-pages'],
+            scope: values.scope
+        },
+        queue: {
+            concurrency: values.concurrency,
+            perHostConcurrency: values['per-host'],
+            delayMs: values.delay
+        },
+        retry: {
+            maxAttempts: values.retries
+        },
+        persistRuns: false
+    };
+}
+
+// Sink for writeZipArchive() that appends to a file on disk
+async function createFileSink(path) {
+    const handle = await open(path, 'w');
+    return {
+        write: async bytes => {
+            await handle.write(bytes);
+        },
+        close: () => handle.close()
+    };
+}
+
+function attachLogging(engine, { verbose, quiet }) {
+    engine.on('log', ({ message, level }) => {
+        if (level === 'error') {
+            console.error(message);
+        } else if (level === 'warn' && !quiet) {
+            console.error(message);
+        } else if (verbose) {
+            console.error(message);
+        }
+    });
+    // Phase messages are the useful progress lines when not verbose
+    engine.on('progress', ({ percentage, message }) => {
+        if (message && !verbose && !quiet) {
+            console.error(`[${String(Math.round(percentage)).padStart(3)}%] ${message}`);
+        }
+    });
+    // Large files fetched in ranges: one line each, rewritten in place on a terminal
+    engine.on('bytes', ({ url, received, total }) => {
+        if (quiet || !process.stderr.isTTY) return;
+        const megabytes = bytes => (bytes / 1024 / 1024).toFixed(1);
+        const done = received >= total;
+        process.stderr.write(`\r⬇️  ${url} ${megabytes(received)}/${megabytes(total)} MB${done ? '\n' : ''}`);
+    });
+}
+
+async function writeZip(engine, output, splitMegabytes, quiet) {
+    const splitBytes = Math.max(0, Number(splitMegabytes) || 0) * 1024 * 1024;
+    const stem = output.replace(/\.zip$/i, '');
+    const partName = part => (splitBytes > 0 || part > 1 ? `${stem}.part${part}.zip` : output);
+
+    const parts = await writeZipArchive(engine.buildArchiveEntries(), {
+        openPart: part => createFileSink(partName(part)),
+        splitBytes
+    });
+    if (!quiet) {
+        const written = Array.from({ length: parts }, (_, i) => partName(i + 1)).join(', ');
+        console.error(`📦 Wrote ${written}`);
+    }
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: ARGUMENTS, allowPositionals: true });
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one URL');
+    }
+
+    const targetUrl = positionals[0];
+    const options = buildOptions(values);
+    const engine = new CaptureEngine({
+        proxyUrl: values.proxy || null,
+        origin: values.origin,
+        proxyToken: values['proxy-token'] || process.env.DEEPFETCH_PROXY_TOKEN || null,
+        parseHtml: html => new DOMParser().parseFromString(html, 'text/html')
+    });
+    if (!engine.isValidUrl(targetUrl)) {
+        throw new UsageError(`Not an HTTP/HTTPS URL: ${targetUrl}`);
+    }
+    attachLogging(engine, values);
+
+    // Ctrl+C stops queuing new requests; whatever was captured is still written
+    process.once('SIGINT', () => {
+        console.error('Stopping, writing what was captured so far...');
+        engine.stop();
+    });
+
+    const stats = await engine.run(targetUrl, { options });
+
+    const output = values.output || `${engine.getExportBaseName()}-advanced-resources.zip`;
+    await writeZip(engine, output, values['split-mb'], values.quiet);
+
+    if (values.har) {
+        const har = engine.buildHarLog(Boolean(values['har-bodies']));
+        await writeFile(values.har, JSON.stringify(har, null, 2));
+        if (!values.quiet) console.error(`📼 Wrote ${values.har} (${har.log.entries.length} requests)`);
+    }
+    if (values.warc) {
+        const { blob, recordCount } = await engine.buildWarcArchive();
+        await writeFile(values.warc, Buffer.from(await blob.arrayBuffer()));
+        if (!values.quiet) console.error(`🏛️ Wrote ${values.warc} (${recordCount} response records)`);
+    }
+
+    if (!values.quiet) {
+        console.error(`✅ ${stats.totalFiles} files, ${(stats.totalSize / 1024 / 1024).toFixed(2)} MB`);
+    }
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => {
+        process.exitCode = code;
+    },
+    error => {
+        const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+        console.error(usage ? `${error.message}\n\n${USAGE}` : `Capture failed: ${error.message}`);
+        process.exitCode = usage ? 2 : 1;
+    }
+);
@@ -1,12 +0,0 @@
-// Listen on a specific host instead of a generic IP.
-const host = 'localhost';
-const port = 8082;
-
-const cors_proxy = require('cors-anywhere');
-cors_proxy.createServer({
-    originWhitelist: [], // Allow all origins
-    requireHeader: ['origin', 'x-requested-with'],
-    removeHeaders: ['cookie', 'cookie2']
-}).listen(port, host, function() {
-    console.log('Running CORS Anywhere on ' + host + ':' + port);
-});
@@ -0,0 +1,25 @@
+/**
+ * Netlify Function CORS Proxy (served at /.netlify/functions/cors-proxy)
+ * Adapter around the shared proxy core (proxy/proxy-core.js). Functions in this format
+ * take and return standard Request/Response objects, so binary bodies need no base64 step
+ * and are streamed rather than held against the buffered response size limit.
+ * Target policy and access settings come from the site's environment variables. The rate
+ * limit is counted per function instance.
+ */
+import { handleProxyRequest } from '../../proxy/proxy-core.js';
+import { readPolicyFromEnv } from '../../proxy/target-policy.js';
+import { MemoryRateLimiter, readAccessFromEnv } from '../../proxy/access-control.js';
+import { resolveWithDns } from '../../proxy/node-resolver.js';
+import { fetchPinned } from '../../proxy/node-fetch.js';
+
+const access = readAccessFromEnv(process.env);
+const rateLimiter = access.rateLimit.requests > 0 ? new MemoryRateLimiter(access.rateLimit) : null;
+
+export default (request, context) => handleProxyRequest(request, {
+    policy: readPolicyFromEnv(process.env),
+    resolveHost: resolveWithDns,
+    fetch: fetchPinned,
+    access,
+    rateLimiter,
+    clientIp: context?.ip
+});
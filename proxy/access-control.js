@@ -0,0 +1,193 @@
+/**
+ * Proxy access control
+ * Who may use the proxy: allowed browser origins, an optional bearer token (a shared token
+ * or an HMAC-signed one with an expiry, see sign-token.js) and a per-client rate limit.
+ * Runs on WebCrypto only, so the Worker, Netlify and Node adapters share it.
+ */
+import { ProxyPolicyError } from './target-policy.js';
+
+export const DEFAULT_ACCESS = {
+    allowedOrigins: [],         // empty: any origin ("*"); "null" admits sandboxed frames
+    token: null,                // shared bearer token
+    tokenSecret: null,          // HMAC-SHA256 secret for signed tokens
+    rateLimit: {
+        requests: 0,            // per client and window; 0 turns the limit off
+        windowSeconds: 60
+    }
+};
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+function importHmacKey(secret) {
+    return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+// Same time whether the first or the last character differs
+function constantTimeEqual(a, b) {
+    const left = encoder.encode(a);
+    const right = encoder.encode(b);
+    let difference = left.length ^ right.length;
+    for (let i = 0; i < left.length; i++) {
+        difference |= left[i] ^ (right[i % right.length] || 0);
+    }
+    return difference === 0;
+}
+
+/**
+ * `${payload}.${signature}`, both base64url; the payload is { sub, exp } with exp in Unix seconds
+ */
+export async function signToken(secret, { subject, expiresAt }) {
+    const payload = toBase64Url(encoder.encode(JSON.stringify({ sub: subject, exp: Math.floor(expiresAt / 1000) })));
+    const signature = await crypto.subtle.sign('HMAC', await importHmacKey(secret), encoder.encode(payload));
+    return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// Resolves with the payload of a valid, unexpired token and null otherwise
+async function verifySignedToken(token, secret, now = Date.now()) {
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+    try {
+        const valid = await crypto.subtle.verify('HMAC', await importHmacKey(secret), fromBase64Url(signature), encoder.encode(payload));
+        if (!valid) return null;
+        const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+        if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) {
+            throw new ProxyPolicyError('TOKEN_EXPIRED', 401, 'The proxy token has expired', { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+        }
+        return claims;
+    } catch (error) {
+        if (error instanceof ProxyPolicyError) throw error;
+        return null;
+    }
+}
+
+/**
+ * Value for Access-Control-Allow-Origin, or null when the origin may not use the proxy
+ */
+export function resolveAllowedOrigin(origin, access) {
+    if (access.allowedOrigins.length === 0 || access.allowedOrigins.includes('*')) {
+        return '*';
+    }
+    return origin && access.allowedOrigins.includes(origin) ? origin : null;
+}
+
+/**
+ * Check the bearer token (Authorization header, or `access_token` in the query for requests
+ * that can't set headers, like a <script src>). Resolves with the rate limit key for a signed
+ * token's subject, or null when tokens are off or the token is the shared one.
+ */
+export async function authenticate(request, access) {
+    if (!access.token && !access.tokenSecret) return null;
+
+    const header = request.headers.get('authorization') || '';
+    const presented = header.match(/^Bearer\s+(\S+)$/i)?.[1] || new URL(request.url).searchParams.get('access_token');
+    if (!presented) {
+        throw new ProxyPolicyError('TOKEN_REQUIRED', 401, 'The proxy requires a bearer token', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    if (access.token && constantTimeEqual(presented, access.token)) {
+        return null;
+    }
+    if (access.tokenSecret) {
+        const claims = await verifySignedToken(presented, access.tokenSecret);
+        if (claims) {
+            return `token:${claims.sub || 'anonymous'}`;
+        }
+    }
+    throw new ProxyPolicyError('INVALID_TOKEN', 401, 'The proxy token is not valid', { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+}
+
+/**
+ * Fixed-window request counter per client, kept in memory: exact for the Node server,
+ * per isolate/instance on Workers and Netlify
+ */
+export class MemoryRateLimiter {
+    constructor({ requests, windowSeconds }) {
+        this.requests = requests;
+        this.windowMs = windowSeconds * 1000;
+        this.windows = new Map(); // key -> { count, resetAt }
+    }
+
+    // Resolves with { allowed, retryAfterSeconds }
+    async hit(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+            this.prune(now);
+        }
+        window.count++;
+        return {
+            allowed: window.count <= this.requests,
+            retryAfterSeconds: Math.max(1, Math.ceil((window.resetAt - now) / 1000))
+        };
+    }
+
+    prune(now) {
+        if (this.windows.size < 10000) return;
+        for (const [key, window] of this.windows) {
+            if (now >= window.resetAt) this.windows.delete(key);
+        }
+    }
+}
+
+/**
+ * Rate limiter backed by a Cloudflare Workers rate limiting binding, shared by every isolate.
+ * The binding doesn't say when its window ends, so Retry-After is the whole period.
+ */
+export function createBindingRateLimiter(binding, windowSeconds) {
+    return {
+        async hit(key) {
+            const { success } = await binding.limit({ key });
+            return { allowed: success, retryAfterSeconds: windowSeconds };
+        }
+    };
+}
+
+/**
+ * Throw RATE_LIMITED (429 with Retry-After) once `key` used up its window
+ */
+export async function enforceRateLimit(rateLimiter, key) {
+    if (!rateLimiter) return;
+    const { allowed, retryAfterSeconds } = await rateLimiter.hit(key);
+    if (!allowed) {
+        throw new ProxyPolicyError('RATE_LIMITED', 429, `Too many requests, retry in ${retryAfterSeconds}s`, {
+            'Retry-After': String(retryAfterSeconds)
+        });
+    }
+}
+
+function readList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Build the access settings from environment variables (wrangler [vars] and secrets,
+ * Netlify or process env):
+ *   PROXY_ALLOWED_ORIGINS             comma-separated origins, e.g. https://deepfetch.example
+ *   PROXY_TOKEN                       shared bearer token
+ *   PROXY_TOKEN_SECRET                secret for signed tokens
+ *   PROXY_RATE_LIMIT                  requests per client per window (0 = off)
+ *   PROXY_RATE_LIMIT_WINDOW_SECONDS   default 60
+ */
+export function readAccessFromEnv(env = {}) {
+    const requests = Number(env.PROXY_RATE_LIMIT);
+    const windowSeconds = Number(env.PROXY_RATE_LIMIT_WINDOW_SECONDS);
+    return {
+        allowedOrigins: readList(env.PROXY_ALLOWED_ORIGINS),
+        token: env.PROXY_TOKEN || null,
+        tokenSecret: env.PROXY_TOKEN_SECRET || null,
+        rateLimit: {
+            requests: Number.isFinite(requests) && requests > 0 ? Math.floor(requests) : DEFAULT_ACCESS.rateLimit.requests,
+            windowSeconds: Number.isFinite(windowSeconds) && windowSeconds > 0 ? windowSeconds : DEFAULT_ACCESS.rateLimit.windowSeconds
+        }
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * Upstream fetch for the Node adapters (local server, Netlify Functions)
+ * Connects only to the addresses the target policy checked, instead of letting fetch
+ * resolve the hostname a second time, so a DNS record that changes after the check
+ * (rebinding) can't point the request at a private address. TLS still verifies the
+ * certificate against the hostname.
+ */
+import { isIP } from 'node:net';
+import { Agent, fetch as undiciFetch } from 'undici';
+
+// dns.lookup() stand-in that answers with the checked addresses
+function lookupFrom(addresses) {
+    const records = addresses.map(address => ({ address, family: isIP(address) }));
+    return (hostname, options, callback) => {
+        if (options.all) {
+            callback(null, records);
+        } else {
+            callback(null, records[0].address, records[0].family);
+        }
+    };
+}
+
+/**
+ * fetch(url, init, { addresses }) as called by the proxy core; without addresses it
+ * resolves the hostname as usual. The lookup belongs to the Agent, so each request gets
+ * its own and its connections are never reused for a later check. close() lets the request
+ * finish first, so the Agent and its socket go once the body is read, cancelled or fails.
+ */
+export async function fetchPinned(url, init = {}, { addresses = [] } = {}) {
+    if (addresses.length === 0) {
+        return undiciFetch(url, init);
+    }
+    const dispatcher = new Agent({ connect: { lookup: lookupFrom(addresses) } });
+    try {
+        return await undiciFetch(url, { ...init, dispatcher });
+    } finally {
+        dispatcher.close().catch(() => {});
+    }
+}
@@ -0,0 +1,9 @@
+/**
+ * Hostname resolution for the target policy on Node (local server, Netlify Functions)
+ */
+import { lookup } from 'node:dns/promises';
+
+export async function resolveWithDns(hostname) {
+    const records = await lookup(hostname, { all: true, verbatim: true });
+    return records.map(record => record.address);
+}
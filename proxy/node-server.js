@@ -0,0 +1,86 @@
+/**
+ * Local CORS proxy server
+ * Serves the proxy core over plain Node HTTP, so the web app, the deepfetch command and
+ * tests can run without the deployed Worker:
+ *
+ *   npm run proxy                          -> http://localhost:3001/proxy?url=…
+ *   PORT=4000 HOST=0.0.0.0 npm run proxy
+ *   PROXY_ALLOW_PRIVATE_NETWORKS=true npm run proxy   (to reach sites on localhost or the LAN)
+ *
+ * The other PROXY_* variables of proxy/target-policy.js and proxy/access-control.js apply as
+ * well; the rate limit is counted in memory per client address.
+ */
+import { createServer } from 'node:http';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath } from 'node:url';
+import { handleProxyRequest } from './proxy-core.js';
+import { readPolicyFromEnv } from './target-policy.js';
+import { MemoryRateLimiter, readAccessFromEnv } from './access-control.js';
+import { resolveWithDns } from './node-resolver.js';
+import { fetchPinned } from './node-fetch.js';
+
+export const DEFAULT_PORT = 3001;
+export const PROXY_PATH = '/proxy';
+
+// IncomingMessage -> Request
+function toRequest(req, url) {
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(req.headers)) {
+        headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+    }
+    const hasBody = !['GET', 'HEAD'].includes(req.method);
+    return new Request(url, {
+        method: req.method,
+        headers,
+        body: hasBody ? Readable.toWeb(req) : undefined,
+        duplex: hasBody ? 'half' : undefined
+    });
+}
+
+// Response -> ServerResponse, streaming the body
+async function sendResponse(res, response) {
+    res.writeHead(response.status, response.statusText || undefined, Object.fromEntries(response.headers));
+    if (!response.body) {
+        res.end();
+        return;
+    }
+    await pipeline(Readable.fromWeb(response.body), res);
+}
+
+/**
+ * An http.Server that answers `${PROXY_PATH}?url=…`; options go to handleProxyRequest(),
+ * with hostnames resolved through the system resolver, connections pinned to the addresses
+ * that were checked and, when `access.rateLimit` is set, an in-memory rate limiter keyed by
+ * the client address
+ */
+export function createProxyServer({ resolveHost = resolveWithDns, fetch: fetchImpl = fetchPinned, access = {}, rateLimiter, ...rest } = {}) {
+    const limiter = rateLimiter !== undefined ? rateLimiter
+        : access.rateLimit?.requests > 0 ? new MemoryRateLimiter(access.rateLimit) : null;
+    return createServer(async (req, res) => {
+        const options = { resolveHost, fetch: fetchImpl, access, rateLimiter: limiter, clientIp: req.socket.remoteAddress, ...rest };
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        try {
+            if (url.pathname !== PROXY_PATH) {
+                await sendResponse(res, Response.json({ error: `Not found, use ${PROXY_PATH}?url=…` }, { status: 404 }));
+                return;
+            }
+            await sendResponse(res, await handleProxyRequest(toRequest(req, url), options));
+        } catch (error) {
+            // Usually the client went away mid-body
+            res.destroy(error);
+        }
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const host = process.env.HOST || 'localhost';
+    const server = createProxyServer({
+        policy: readPolicyFromEnv(process.env),
+        access: readAccessFromEnv(process.env)
+    });
+    server.listen(port, host, () => {
+        console.log(`CORS proxy listening on http://${host}:${port}${PROXY_PATH}`);
+    });
+}
@@ -0,0 +1,300 @@
+/**
+ * CORS proxy core
+ * One implementation of the `?url=` proxy on the standard Request/Response API. The
+ * Cloudflare Worker, the Netlify function and the local Node server are thin adapters
+ * around handleProxyRequest(), so they all send the same upstream headers, forward the
+ * same response headers and report errors the same way. A request first passes access
+ * control (access-control.js: origin, token, rate limit); then every target, and every
+ * redirect hop, goes through the target policy (target-policy.js). Redirects are followed
+ * here, so the response reports the final URL and the hops that led to it.
+ *
+ * Bodies are streamed, never buffered, and Range/If-Range/If-None-Match/If-Modified-Since go
+ * upstream, with 206 and 304 answers passed back: a client can fetch a file too large for
+ * one request (or one Worker invocation) in ranges and resume it.
+ */
+import { DEFAULT_POLICY, ProxyPolicyError, checkTarget, checkContentType, resolveWithDoh } from './target-policy.js';
+import { DEFAULT_ACCESS, resolveAllowedOrigin, authenticate, enforceRateLimit } from './access-control.js';
+
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+// Sent upstream on every request, so the target sees one consistent browser
+const UPSTREAM_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': '*/*',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache'
+};
+
+// Access-Control-Allow-Origin depends on the request, see corsHeadersFor()
+const CORS_HEADERS = {
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, User-Agent, x-requested-with, origin, Authorization, Range, If-Range, If-None-Match, If-Modified-Since'
+};
+
+// Client request headers passed on upstream, so large files can be fetched in ranges and
+// cached copies revalidated
+const PASSED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+
+// The client reads these to find source maps and the URL it really got; browsers hide
+// non-safelisted headers otherwise
+const EXPOSED_HEADERS = ['SourceMap', 'X-SourceMap', 'ETag', 'Last-Modified', 'X-Final-URL', 'X-Redirect-Chain', 'Content-Range', 'Accept-Ranges'];
+
+// Upstream response headers passed on to the client
+const FORWARDED_HEADERS = [
+    'content-type',
+    'content-length',
+    'last-modified',
+    'etag',
+    'cache-control',
+    'expires',
+    'sourcemap',
+    'x-sourcemap',
+    'content-range',
+    'accept-ranges'
+];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// With an origin allowlist the allowed origin is echoed, so caches must key on Origin
+function corsHeadersFor(allowedOrigin) {
+    const headers = { ...CORS_HEADERS, 'Access-Control-Allow-Origin': allowedOrigin };
+    if (allowedOrigin !== '*') {
+        headers.Vary = 'Origin';
+    }
+    return headers;
+}
+
+// Every error answers { error, code } so clients can tell policy refusals from upstream failures
+function errorResponse(cors, status, code, message, extraHeaders = {}) {
+    const headers = { ...cors, 'Content-Type': 'application/json', ...extraHeaders };
+    if (Object.keys(extraHeaders).length > 0) {
+        headers['Access-Control-Expose-Headers'] = Object.keys(extraHeaders).join(', ');
+    }
+    return new Response(JSON.stringify({ error: message, code }), { status, headers });
+}
+
+function parseTargetUrl(requestUrl) {
+    const target = new URL(requestUrl).searchParams.get('url');
+    if (!target) {
+        throw new ProxyPolicyError('MISSING_URL', 400, 'Missing url parameter');
+    }
+    try {
+        return new URL(target);
+    } catch (error) {
+        throw new ProxyPolicyError('INVALID_URL', 400, 'Invalid URL format');
+    }
+}
+
+// Upstream headers plus the client's range and revalidation headers. A byte range of a
+// compressed body is a range of the compressed bytes, which fetch() can't decode, so ranged
+// requests ask for the identity encoding (spec-compliant fetch() adds it too, not every runtime does).
+function buildUpstreamHeaders(request) {
+    const headers = { ...UPSTREAM_HEADERS };
+    for (const name of PASSED_REQUEST_HEADERS) {
+        const value = request.headers.get(name);
+        if (value) {
+            headers[name] = value;
+        }
+    }
+    if (headers.range) {
+        headers['Accept-Encoding'] = 'identity';
+    }
+    return headers;
+}
+
+// X-Final-URL is the URL the body came from; X-Redirect-Chain lists the hops that led there as
+// JSON [{ status, url }], each url being the one that answered with the redirect
+function buildResponseHeaders(upstream, cors, finalUrl, chain) {
+    const headers = {
+        ...cors,
+        'Access-Control-Expose-Headers': EXPOSED_HEADERS.join(', '),
+        'X-Final-URL': finalUrl.href
+    };
+    if (chain.length > 0) {
+        headers['X-Redirect-Chain'] = JSON.stringify(chain);
+    }
+    // fetch() hands us the decoded body, so a compressed length would no longer match it
+    const encoded = upstream.headers.has('content-encoding');
+
+    for (const name of FORWARDED_HEADERS) {
+        const value = upstream.headers.get(name);
+        if (value && !(encoded && name === 'content-length')) {
+            headers[name] = value;
+        }
+    }
+    return headers;
+}
+
+// Passes the body through until it grows past `maxBytes`, then fails the stream; by then the
+// status line is sent, so the client sees a truncated download rather than an error response
+function limitBodySize(body, maxBytes, log) {
+    let received = 0;
+    return body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            received += chunk.byteLength;
+            if (received > maxBytes) {
+                log.error(`[CORS Proxy] Response passed the ${maxBytes} byte limit, aborted`);
+                controller.error(new ProxyPolicyError('RESPONSE_TOO_LARGE', 413, 'Response is larger than the proxy allows'));
+                return;
+            }
+            controller.enqueue(chunk);
+        }
+    }));
+}
+
+/**
+ * Fetch `targetUrl`, following redirects by hand so every hop passes the target policy.
+ * Resolves with { upstream, finalUrl, chain }, chain being [{ status, url }] per redirect.
+ */
+async function fetchUpstream(targetUrl, init, { fetchImpl, policy, resolveHost, log }) {
+    let url = targetUrl;
+    let { method, body } = init;
+    const chain = [];
+
+    for (let hop = 0; ; hop++) {
+        // The checked addresses let a fetch that can pin its connection skip a second lookup
+        const addresses = await checkTarget(url, policy, resolveHost);
+        const upstream = await fetchImpl(url.href, { ...init, method, body, redirect: 'manual' }, { addresses });
+        const location = upstream.headers.get('location');
+        if (!REDIRECT_STATUSES.includes(upstream.status) || !location) {
+            return { upstream, finalUrl: url, chain };
+        }
+
+        await upstream.body?.cancel();
+        chain.push({ status: upstream.status, url: url.href });
+        if (hop >= policy.maxRedirects) {
+            throw new ProxyPolicyError('TOO_MANY_REDIRECTS', 508, `More than ${policy.maxRedirects} redirects`);
+        }
+        try {
+            url = new URL(location, url);
+        } catch (error) {
+            throw new ProxyPolicyError('INVALID_REDIRECT', 502, `Redirect to an invalid URL: ${location}`);
+        }
+        // Like a browser: 303, and 301/302 after a POST, continue as a GET without the body
+        if (upstream.status === 303 || ([301, 302].includes(upstream.status) && method === 'POST')) {
+            method = 'GET';
+            body = undefined;
+        }
+        log.log(`[CORS Proxy] Redirected (${upstream.status}) to ${url.href}`);
+    }
+}
+
+/**
+ * Proxy `request` (…?url=<target>) and resolve with the Response to send back.
+ *   fetch        upstream fetch, defaults to the global one; called as (url, init, { addresses })
+ *                with the addresses the target policy checked
+ *   timeoutMs    upstream timeout; a timeout answers 504
+ *   policy       target policy (target-policy.js), merged over DEFAULT_POLICY
+ *   resolveHost  hostname -> Promise<[address]>, defaults to DNS over HTTPS
+ *   access       origins and tokens (access-control.js), merged over DEFAULT_ACCESS
+ *   rateLimiter  { hit(key) } or null for no limit
+ *   clientIp     rate limit key for every request, signed tokens are counted by subject too
+ *   log          console-like logger
+ */
+export async function handleProxyRequest(request, {
+    fetch: fetchImpl = fetch,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    policy = {},
+    resolveHost = resolveWithDoh,
+    access = {},
+    rateLimiter = null,
+    clientIp = null,
+    log = console
+} = {}) {
+    const effectiveAccess = { ...DEFAULT_ACCESS, ...access };
+    const origin = request.headers.get('origin');
+    const allowedOrigin = resolveAllowedOrigin(origin, effectiveAccess);
+    if (!allowedOrigin) {
+        log.error(`[CORS Proxy] Refused origin ${origin || '(none)'}`);
+        return errorResponse({}, 403, 'ORIGIN_NOT_ALLOWED', `Origin ${origin || '(none)'} may not use this proxy`);
+    }
+    const cors = corsHeadersFor(allowedOrigin);
+
+    // Preflights carry no credentials; the request that follows is checked
+    if (request.method === 'OPTIONS') {
+        return new Response(null, {
+            status: 200,
+            headers: { ...cors, 'Access-Control-Max-Age': '86400' }
+        });
+    }
+
+    const effectivePolicy = { ...DEFAULT_POLICY, ...policy };
+    const controller = new AbortController();
+    let timeoutId = null;
+    let targetUrl = null;
+    try {
+        // Counted per address before the token check, so guessing tokens is limited too;
+        // a signed token's client then has its own count wherever it connects from
+        await enforceRateLimit(rateLimiter, `ip:${clientIp || 'unknown'}`);
+        const tokenSubject = await authenticate(request, effectiveAccess);
+        if (tokenSubject) {
+            await enforceRateLimit(rateLimiter, tokenSubject);
+        }
+
+        timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        targetUrl = parseTargetUrl(request.url);
+        log.log(`[CORS Proxy] Fetching: ${targetUrl.href}`);
+
+        const hasBody = !['GET', 'HEAD'].includes(request.method);
+        const { upstream, finalUrl, chain } = await fetchUpstream(targetUrl, {
+            method: request.method,
+            headers: buildUpstreamHeaders(request),
+            body: hasBody ? await request.arrayBuffer() : undefined,
+            signal: controller.signal
+        }, { fetchImpl, policy: effectivePolicy, resolveHost, log });
+
+        log.log(`[CORS Proxy] Response status: ${upstream.status}`);
+
+        // The client's copy is still current: no body, but its validators
+        if (upstream.status === 304) {
+            return new Response(null, {
+                status: 304,
+                statusText: upstream.statusText,
+                headers: buildResponseHeaders(upstream, cors, finalUrl, chain)
+            });
+        }
+
+        if (!upstream.ok) {
+            await upstream.body?.cancel();
+            // Let the client back off as long as the target asks it to, and tell it the real
+            // length when its range was past the end
+            const extraHeaders = {};
+            for (const [name, header] of [['Retry-After', 'retry-after'], ['Content-Range', 'content-range']]) {
+                const value = upstream.headers.get(header);
+                if (value) {
+                    extraHeaders[name] = value;
+                }
+            }
+            return errorResponse(cors, upstream.status, 'UPSTREAM_STATUS',
+                `Failed to fetch resource: ${upstream.status} ${upstream.statusText}`, extraHeaders);
+        }
+
+        checkContentType(upstream.headers.get('content-type'), effectivePolicy);
+        const declaredLength = Number(upstream.headers.get('content-length'));
+        if (declaredLength > effectivePolicy.maxResponseBytes) {
+            throw new ProxyPolicyError('RESPONSE_TOO_LARGE', 413,
+                `Response is ${declaredLength} bytes, the proxy allows ${effectivePolicy.maxResponseBytes}`);
+        }
+
+        return new Response(upstream.body && limitBodySize(upstream.body, effectivePolicy.maxResponseBytes, log), {
+            status: upstream.status,
+            statusText: upstream.statusText,
+            headers: buildResponseHeaders(upstream, cors, finalUrl, chain)
+        });
+    } catch (error) {
+        if (error instanceof ProxyPolicyError) {
+            log.error(`[CORS Proxy] Refused ${targetUrl?.href || request.url}: ${error.code} ${error.message}`);
+            return errorResponse(cors, error.status, error.code, error.message, error.headers);
+        }
+        if (controller.signal.aborted) {
+            log.error(`[CORS Proxy] Timed out after ${timeoutMs}ms: ${targetUrl.href}`);
+            return errorResponse(cors, 504, 'TIMEOUT', 'Upstream request timed out');
+        }
+        log.error(`[CORS Proxy] Error: ${error.message}`);
+        return errorResponse(cors, 502, 'UPSTREAM_ERROR', `Could not reach the target: ${error.message}`);
+    } finally {
+        // The timeout covers the response headers; the body streams for as long as it takes
+        clearTimeout(timeoutId);
+    }
+}
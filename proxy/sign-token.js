@@ -0,0 +1,25 @@
+/**
+ * Issue a signed proxy token (for PROXY_TOKEN_SECRET deployments)
+ *
+ *   PROXY_TOKEN_SECRET=… npm run proxy:token -- <subject> [--days 30]
+ *
+ * The subject names the client; the proxy rate-limits each subject separately.
+ */
+import { parseArgs } from 'node:util';
+import { signToken } from './access-control.js';
+
+const { values, positionals } = parseArgs({
+    options: { days: { type: 'string', default: '30' } },
+    allowPositionals: true
+});
+
+const secret = process.env.PROXY_TOKEN_SECRET;
+const days = Number(values.days);
+if (!secret || positionals.length !== 1 || !(days > 0)) {
+    console.error('Usage: PROXY_TOKEN_SECRET=… node proxy/sign-token.js <subject> [--days 30]');
+    process.exitCode = 2;
+} else {
+    const expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+    console.log(await signToken(secret, { subject: positionals[0], expiresAt }));
+    console.error(`Expires ${new Date(expiresAt).toISOString()}`);
+}
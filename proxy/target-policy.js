@@ -0,0 +1,258 @@
+/**
+ * Proxy target policy
+ * Decides whether the proxy may fetch a URL, so it can't be used to reach the network it
+ * runs in: hostnames are resolved and every address is checked against the loopback,
+ * private, link-local (cloud metadata), CGNAT, multicast and reserved IPv4/IPv6 ranges,
+ * plus configurable allow/deny host lists. The core runs the check again for every
+ * redirect hop, and applies the response size and content-type limits.
+ *
+ * checkTarget() resolves with the addresses it checked. The Node adapters connect to those
+ * (node-fetch.js); the Worker's fetch() can't be given an address and resolves the name
+ * again, so there a DNS record that changes in between (rebinding) is not caught. The deny
+ * ranges still stop every direct and redirected request to a literal or stable private
+ * address.
+ */
+
+export const DEFAULT_POLICY = {
+    allowHosts: [],             // when non-empty, only these hosts (names, *.wildcards, IPs or CIDRs)
+    denyHosts: [],              // never these; CIDRs are matched against resolved addresses too
+    allowPrivateNetworks: false, // local development against localhost or a LAN
+    maxRedirects: 5,
+    maxResponseBytes: 100 * 1024 * 1024,
+    allowContentTypes: [],      // when non-empty, only these MIME types or prefixes ("image/")
+    denyContentTypes: []
+};
+
+// Ranges no public website lives in
+const BLOCKED_RANGES = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+    '192.0.0.0/24', '192.0.2.0/24', '192.88.99.0/24', '192.168.0.0/16', '198.18.0.0/15',
+    '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', '100::/64', '2001::/32', '2001:db8::/32', 'fc00::/7', 'fe80::/10', 'fec0::/10', 'ff00::/8'
+].map(parseCidr);
+
+// Names that only mean something inside a network (metadata.google.internal, printer.local, ...)
+const PRIVATE_HOSTNAMES = /(^|\.)(localhost|local|internal|intranet|lan|home\.arpa)$/;
+
+// IPv6 ranges that carry an IPv4 address, which is checked instead: [range, offset of the IPv4 bytes]
+const EMBEDDED_IPV4_RANGES = [
+    [parseCidr('::ffff:0:0/96'), 12],  // IPv4-mapped
+    [parseCidr('::/96'), 12],          // IPv4-compatible (deprecated)
+    [parseCidr('64:ff9b::/96'), 12],   // NAT64
+    [parseCidr('2002::/16'), 2]        // 6to4
+];
+
+// A request the proxy refuses; `headers` are added to the error response (e.g. Retry-After)
+export class ProxyPolicyError extends Error {
+    constructor(code, status, message, headers = {}) {
+        super(message);
+        this.name = 'ProxyPolicyError';
+        this.code = code;
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+function parseIPv4(text) {
+    const parts = text.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+        return null;
+    }
+    return Uint8Array.from(parts, Number);
+}
+
+function parseIPv6(text) {
+    let address = text.replace(/%.*$/, '');
+    // A trailing dotted quad becomes the last two groups
+    const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const v4 = parseIPv4(dotted[2]);
+        if (!v4) return null;
+        address = `${dotted[1]}${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+    }
+
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+    const toGroups = half => (half ? half.split(':') : []);
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    const missing = 8 - head.length - tail.length;
+    if ((halves.length === 2 && missing < 1) || (halves.length === 1 && missing !== 0)) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+    const bytes = new Uint8Array(16);
+    groups.forEach((group, i) => {
+        const value = parseInt(group, 16);
+        bytes[i * 2] = value >> 8;
+        bytes[i * 2 + 1] = value & 0xFF;
+    });
+    return bytes;
+}
+
+/**
+ * IPv4 or IPv6 address (brackets allowed) -> 4 or 16 bytes, or null for a hostname
+ */
+export function parseIp(text) {
+    const address = String(text).replace(/^\[|\]$/g, '');
+    return address.includes(':') ? parseIPv6(address) : parseIPv4(address);
+}
+
+function parseCidr(text) {
+    const [address, prefix] = text.split('/');
+    const bytes = parseIp(address);
+    if (!bytes) return null;
+    const bits = prefix === undefined ? bytes.length * 8 : Number(prefix);
+    return { bytes, prefix: Math.min(Math.max(bits, 0), bytes.length * 8) };
+}
+
+function inRange(bytes, range) {
+    if (!range || bytes.length !== range.bytes.length) return false;
+    for (let bit = 0; bit < range.prefix; bit += 8) {
+        const mask = range.prefix - bit >= 8 ? 0xFF : (0xFF << (8 - (range.prefix - bit))) & 0xFF;
+        if ((bytes[bit / 8] & mask) !== (range.bytes[bit / 8] & mask)) return false;
+    }
+    return true;
+}
+
+/**
+ * Loopback, private, link-local, shared, multicast, documentation or otherwise reserved
+ */
+export function isPrivateAddress(bytes) {
+    if (bytes.length === 16) {
+        // :: and ::1 fall in ::/96 as well and come out as 0.0.0.0/8, which is blocked too
+        for (const [range, offset] of EMBEDDED_IPV4_RANGES) {
+            if (inRange(bytes, range)) {
+                return isPrivateAddress(bytes.slice(offset, offset + 4));
+            }
+        }
+    }
+    return BLOCKED_RANGES.some(range => inRange(bytes, range));
+}
+
+// Host list entries: "example.com", "*.example.com" (the domain and its subdomains), an IP or a CIDR
+function matchesHostList(hostname, addressBytes, entries) {
+    return entries.some(entry => {
+        const pattern = entry.toLowerCase();
+        if (pattern.startsWith('*.')) {
+            const domain = pattern.slice(2);
+            return hostname === domain || hostname.endsWith(`.${domain}`);
+        }
+        const range = parseCidr(pattern);
+        if (range) {
+            return addressBytes.some(bytes => inRange(bytes, range));
+        }
+        return hostname === pattern;
+    });
+}
+
+/**
+ * Resolve a hostname with DNS over HTTPS, for runtimes without a DNS API (Workers)
+ */
+export async function resolveWithDoh(hostname, { fetch: fetchImpl = fetch, endpoint = 'https://cloudflare-dns.com/dns-query' } = {}) {
+    const answers = await Promise.all(['A', 'AAAA'].map(async type => {
+        const response = await fetchImpl(`${endpoint}?name=${encodeURIComponent(hostname)}&type=${type}`, {
+            headers: { accept: 'application/dns-json' }
+        });
+        if (!response.ok) throw new Error(`DNS query failed with status ${response.status}`);
+        const { Answer = [] } = await response.json();
+        // CNAMEs (type 5) along the chain are listed too
+        return Answer.filter(answer => answer.type === 1 || answer.type === 28).map(answer => answer.data);
+    }));
+    return answers.flat();
+}
+
+/**
+ * Throw a ProxyPolicyError unless `url` may be fetched, else resolve with the addresses that
+ * were checked. `resolveHost(hostname)` resolves with the addresses of a hostname.
+ */
+export async function checkTarget(url, policy, resolveHost) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new ProxyPolicyError('INVALID_URL', 400, 'Only http and https URLs can be proxied');
+    }
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const literal = parseIp(hostname);
+
+    if (matchesHostList(hostname, literal ? [literal] : [], policy.denyHosts)) {
+        throw new ProxyPolicyError('HOST_DENIED', 403, `${hostname} is on the proxy's deny list`);
+    }
+    if (policy.allowHosts.length > 0 && !matchesHostList(hostname, literal ? [literal] : [], policy.allowHosts)) {
+        throw new ProxyPolicyError('HOST_NOT_ALLOWED', 403, `${hostname} is not on the proxy's allow list`);
+    }
+
+    if (!policy.allowPrivateNetworks && PRIVATE_HOSTNAMES.test(hostname)) {
+        throw new ProxyPolicyError('PRIVATE_ADDRESS', 403, `${hostname} is a private network name`);
+    }
+
+    let checked;
+    let addresses;
+    if (literal) {
+        checked = [hostname];
+        addresses = [literal];
+    } else {
+        let resolved;
+        try {
+            resolved = await resolveHost(hostname);
+        } catch (error) {
+            throw new ProxyPolicyError('DNS_FAILED', 502, `Could not resolve ${hostname}: ${error.message}`);
+        }
+        checked = resolved.filter(address => parseIp(address));
+        addresses = checked.map(parseIp);
+        if (addresses.length === 0) {
+            throw new ProxyPolicyError('DNS_FAILED', 502, `${hostname} has no addresses`);
+        }
+    }
+
+    if (matchesHostList('', addresses, policy.denyHosts.filter(entry => parseCidr(entry)))) {
+        throw new ProxyPolicyError('HOST_DENIED', 403, `${hostname} resolves to an address on the proxy's deny list`);
+    }
+    if (!policy.allowPrivateNetworks && addresses.some(isPrivateAddress)) {
+        throw new ProxyPolicyError('PRIVATE_ADDRESS', 403, `${hostname} is a private or reserved network address`);
+    }
+    return checked;
+}
+
+/**
+ * Throw a ProxyPolicyError unless a response with this Content-Type may be passed on
+ */
+export function checkContentType(contentType, policy) {
+    const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+    const matches = entries => entries.some(entry => {
+        const pattern = entry.toLowerCase();
+        return pattern.endsWith('/') ? mimeType.startsWith(pattern) : mimeType === pattern;
+    });
+
+    if (matches(policy.denyContentTypes)
+        || (policy.allowContentTypes.length > 0 && !matches(policy.allowContentTypes))) {
+        throw new ProxyPolicyError('CONTENT_TYPE_BLOCKED', 415, `Content type ${mimeType || '(none)'} is not allowed by the proxy`);
+    }
+}
+
+function readList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Build a policy from environment variables (wrangler [vars], Netlify or process env):
+ *   PROXY_ALLOW_HOSTS, PROXY_DENY_HOSTS            comma-separated host list entries
+ *   PROXY_ALLOW_PRIVATE_NETWORKS                   "true" to reach localhost/LAN targets
+ *   PROXY_MAX_REDIRECTS, PROXY_MAX_RESPONSE_MB
+ *   PROXY_ALLOW_CONTENT_TYPES, PROXY_DENY_CONTENT_TYPES
+ */
+export function readPolicyFromEnv(env = {}) {
+    return {
+        allowHosts: readList(env.PROXY_ALLOW_HOSTS),
+        denyHosts: readList(env.PROXY_DENY_HOSTS),
+        allowPrivateNetworks: ['true', '1', 'yes'].includes(String(env.PROXY_ALLOW_PRIVATE_NETWORKS || '').toLowerCase()),
+        maxRedirects: readNumber(env.PROXY_MAX_REDIRECTS, DEFAULT_POLICY.maxRedirects),
+        maxResponseBytes: readNumber(env.PROXY_MAX_RESPONSE_MB, DEFAULT_POLICY.maxResponseBytes / 1024 / 1024) * 1024 * 1024,
+        allowContentTypes: readList(env.PROXY_ALLOW_CONTENT_TYPES),
+        denyContentTypes: readList(env.PROXY_DENY_CONTENT_TYPES)
+    };
+}
@@ -11,72 +11,47 @@
  * It simulates browser behavior, recursively discovers resources, and uses a CORS proxy to bypass browser restrictions.
  *
  * This is far more powerful than wget or traditional downloaders.
+ *
+ * The page is one consumer of the capture engine (capture-engine.js): it turns the engine's
+ * events into the log, progress bar and saved runs, and offers the results as downloads.
  */
-import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
-import { getCorsProxyUrl } from './cors-proxy-config.js';
+import { getCorsProxyUrl, getCorsProxyToken, getObserverProxyToken } from './cors-proxy-config.js';
+import CaptureEngine from './capture-engine.js';
+import { observePageTraffic } from './traffic-observer.js';
+import RunStore from './run-store.js';
+import { writeZipArchive, createFileHandleSink, createBlobSink } from './zip-stream.js';
+import { RESOURCE_TYPES, normalizeOptions } from './download-options.js';
 
 /**
  * Advanced Web Resource Downloader
- * Attempts to replicate browser network inspection for web-based resource extraction
+ * Browser front end for the capture engine
  */
 class AdvancedWebResourceDownloader {
-    // Helper: like downloadSingleResource, but returns fileData for further processing
-    async downloadSingleResourceWithReturn(url) {
-        if (this.downloadedUrls.has(url)) {
-            return null; // Already downloaded
-        }
-        try {
-            const response = await this.fetchWithCORS(url);
-            const contentType = this.getContentType(response);
-            const content = await this.getResponseContent(response, contentType);
-            const filename = this.generateFilename(url, contentType);
-            const fileType = this.determineFileType(filename, contentType);
-            const fileData = {
-                content: content,
-                size: this.getContentSize(content),
-                type: fileType,
-                url: url,
-                contentType: contentType
-            };
-            this.saveFile(filename, fileData);
-            this.downloadedUrls.add(url);
-            return fileData;
-        } catch (error) {
-            throw new Error(`Failed to download ${url}: ${error.message}`);
-        }
-    }
-
-    // Extract all url(...) from CSS content, resolve relative to baseUrl
-    extractUrlsFromCss(css, baseUrl) {
-        const urls = new Set();
-        const urlRegex = /url\((['"]?)([^'"\)]+)\1\)/g;
-        let match;
-        while ((match = urlRegex.exec(css)) !== null) {
-            let rawUrl = match[2].trim();
-            if (!rawUrl || rawUrl.startsWith('data:') || rawUrl.startsWith('#')) continue;
-            try {
-                const absUrl = new URL(rawUrl, baseUrl).href;
-                urls.add(absUrl);
-            } catch (e) {}
-        }
-        return urls;
-    }
     constructor() {
-        this.downloadedFiles = new Map();
-        this.downloadedUrls = new Set();
+        this.engine = new CaptureEngine({
+            proxyUrl: getCorsProxyUrl(),
+            origin: window.location.origin,
+            proxyToken: getCorsProxyToken(),
+            observerProxyToken: getObserverProxyToken(),
+            observeTraffic: observePageTraffic
+        });
         this.isDownloading = false;
-        this.startTime = null;
-        this.stats = {
-            totalFiles: 0,
-            sourceFiles: 0,
-            jsFiles: 0,
-            cssFiles: 0,
-            imageFiles: 0,
-            totalSize: 0
-        };
+        this.runStore = RunStore.isSupported() ? new RunStore() : null;
+        this.runId = null;              // IndexedDB id of the run being saved
+        this.runStatus = null;          // 'running' | 'completed' | 'stopped' | 'failed'
+        this.runRecordReady = null;
+        this.persistTimer = null;
+        this.unsavedFiles = new Set();  // filenames written since the last flush
+        this.pendingAdded = new Set();  // URLs queued since the last flush
+        this.pendingRemoved = new Set(); // URLs finished since the last flush
+        this.unsavedChunks = [];        // ranges of large files received since the last flush
+        this.partialUrls = new Set();   // URLs with ranges in browser storage
+        this.completedPartials = new Set(); // of those, URLs whose file is now complete
+        this.largeDownloads = new Map(); // url -> { received, total } for the byte progress
         
         this.initializeEventListeners();
+        this.refreshSavedRuns();
     }
 
     // =====================================
@@ -87,7 +62,20 @@ class AdvancedWebResourceDownloader {
         document.getElementById('start-download').addEventListener('click', () => this.startDownload());
         document.getElementById('stop-download').addEventListener('click', () => this.stopDownload());
         document.getElementById('download-zip').addEventListener('click', () => this.downloadAsZip());
+        document.getElementById('download-har').addEventListener('click', () => this.downloadHar());
+        document.getElementById('download-warc').addEventListener('click', () => this.downloadWarc());
         document.getElementById('reset-download').addEventListener('click', () => this.resetDownload());
+        
+        this.engine.on('log', ({ message, level }) => this.log(message, level));
+        this.engine.on('progress', ({ percentage }) => this.updateProgress(percentage));
+        this.engine.on('file', ({ filename, fileData }) => this.schedulePersist(filename, fileData?.url));
+        this.engine.on('queued', ({ url }) => this.trackPendingUrl(url));
+        this.engine.on('settled', ({ url }) => {
+            this.untrackPendingUrl(url);
+            this.finishByteProgress(url);
+        });
+        this.engine.on('chunk', chunk => this.schedulePersistChunk(chunk));
+        this.engine.on('bytes', ({ url, received, total }) => this.updateByteProgress(url, received, total));
     }
 
     // =====================================
@@ -112,16 +100,55 @@ class AdvancedWebResourceDownloader {
         }
     }
 
-    updateProgress(percentage, message = '') {
+    // The engine logs the progress message itself
+    updateProgress(percentage) {
         const progressFill = document.getElementById('progress-fill');
         progressFill.style.width = `${percentage}%`;
         progressFill.textContent = `${Math.round(percentage)}%`;
-        
-        if (message) {
-            this.log(message);
+    }
+
+    // One line for every large file being fetched in ranges
+    updateByteProgress(url, received, total) {
+        if (received >= total) {
+            this.largeDownloads.delete(url);
+        } else {
+            this.largeDownloads.set(url, { received, total });
+        }
+        this.renderByteProgress();
+    }
+
+    finishByteProgress(url) {
+        if (this.largeDownloads.delete(url)) {
+            this.renderByteProgress();
         }
     }
 
+    renderByteProgress() {
+        const container = document.getElementById('byte-progress');
+        if (this.largeDownloads.size === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        let received = 0;
+        let total = 0;
+        this.largeDownloads.forEach(download => {
+            received += download.received;
+            total += download.total;
+        });
+        const percentage = total > 0 ? (received / total) * 100 : 0;
+        const megabytes = bytes => (bytes / 1024 / 1024).toFixed(1);
+        const [firstUrl] = this.largeDownloads.keys();
+        const name = this.largeDownloads.size === 1
+            ? decodeURIComponent(new URL(firstUrl).pathname.split('/').pop() || firstUrl)
+            : `${this.largeDownloads.size} large files`;
+        
+        container.style.display = 'block';
+        document.getElementById('byte-progress-fill').style.width = `${percentage}%`;
+        document.getElementById('byte-progress-fill').textContent = `${Math.round(percentage)}%`;
+        document.getElementById('byte-progress-text').textContent = `${name}: ${megabytes(received)} of ${megabytes(total)} MB`;
+    }
+
     showError(message) {
         const errorContainer = document.getElementById('error-container');
         errorContainer.innerHTML = `
@@ -152,10 +179,44 @@ class AdvancedWebResourceDownloader {
             return;
         }
 
-        this.initializeDownload(targetUrl);
+        await this.runCapture(targetUrl, this.readOptionsFromForm());
+    }
+
+    // Restore a saved run and carry on: pending URLs first, then every phase again,
+    // which skips whatever was already downloaded
+    async resumeRun(runId) {
+        if (this.isDownloading) return;
+        
+        const run = await this.runStore.getRun(runId);
+        if (!run) return;
+        const [files, pending, partials] = await Promise.all([
+            this.runStore.loadFiles(runId),
+            this.runStore.listPending(runId),
+            this.runStore.loadPartials(runId)
+        ]);
+        
+        document.getElementById('target-url').value = run.targetUrl;
+        await this.runCapture(run.targetUrl, normalizeOptions(run.options), { run, files, pending, partials });
+    }
 
+    async runCapture(targetUrl, options, resumed = null) {
+        this.initializeDownload(targetUrl, options, resumed?.run);
+        if (resumed) {
+            this.log(`♻️ Resuming run started ${new Date(resumed.run.startedAt).toLocaleString()}`);
+            resumed.partials.forEach(({ url }) => this.partialUrls.add(url));
+        }
+        
+        const restore = resumed && {
+            files: resumed.files,
+            mainPagePath: resumed.run.mainPagePath || null,
+            pending: resumed.pending,
+            partials: resumed.partials
+        };
+        
         try {
-            await this.executeDownloadProcess(targetUrl);
+            await this.engine.run(targetUrl, { options, restore });
+            this.completeRun();
+            this.showResults();
         } catch (error) {
             this.handleDownloadError(error);
         } finally {
@@ -169,7 +230,7 @@ class AdvancedWebResourceDownloader {
             return false;
         }
 
-        if (!this.isValidUrl(targetUrl)) {
+        if (!this.engine.isValidUrl(targetUrl)) {
             this.showError('Please enter a valid HTTP/HTTPS URL');
             return false;
         }
@@ -177,739 +238,362 @@ class AdvancedWebResourceDownloader {
         return true;
     }
 
-    initializeDownload(targetUrl) {
+    initializeDownload(targetUrl, options, resumedRun = null) {
         this.isDownloading = true;
-        this.startTime = Date.now();
-        this.downloadedFiles.clear();
-        this.downloadedUrls.clear();
-        this.resetStats();
+        this.startRunRecord(targetUrl, options, resumedRun);
 
         // UI state
         document.getElementById('progress-section').style.display = 'block';
         document.getElementById('results-section').style.display = 'none';
         document.getElementById('start-download').disabled = true;
         document.getElementById('log-container').textContent = '';
-        
-        this.log('Starting advanced download process...');
-        this.updateProgress(0, 'Initializing advanced browser simulation...');
-    }
-
-    async executeDownloadProcess(targetUrl) {
-        // Phase 1: Download main HTML page
-        this.updateProgress(5, 'Phase 1: Downloading main HTML page...');
-        const html = await this.downloadMainPage(targetUrl);
-        
-        // Phase 2: Extract and download static resources
-        this.updateProgress(20, 'Phase 2: Extracting static resources...');
-        const resourceUrls = await this.extractStaticResources(html, targetUrl);
-        
-        // Phase 3: Download all static resources
-        this.updateProgress(40, 'Phase 3: Downloading static resources...');
-        await this.downloadStaticResources(resourceUrls);
-        
-        // Phase 4: Process JavaScript files for source maps
-        this.updateProgress(70, 'Phase 4: Processing source maps...');
-        await this.processSourceMaps();
-        
-        // Phase 5: Search for dynamic resources
-        this.updateProgress(85, 'Phase 5: Searching for dynamic resources...');
-        await this.findDynamicResources();
-        
-        // Phase 6: Generate final report
-        this.updateProgress(95, 'Phase 6: Generating report...');
-        this.generateFinalReport();
-        
-        this.updateProgress(100, 'Advanced extraction completed!');
-        this.showResults();
+        this.largeDownloads.clear();
+        this.renderByteProgress();
+    }
+
+    readOptionsFromForm() {
+        const checked = id => document.getElementById(id)?.checked;
+        const value = id => document.getElementById(id)?.value;
+        
+        return normalizeOptions({
+            phases: {
+                domResources: checked('option-dom-resources'),
+                bundleChunks: checked('option-bundle-chunks'),
+                moduleGraph: checked('option-module-graph'),
+                pwaAssets: checked('option-pwa-assets'),
+                sourceMaps: checked('option-source-maps'),
+                dynamicResources: checked('option-dynamic-resources'),
+                liveTraffic: checked('option-live-traffic')
+            },
+            moduleGraphDepth: value('option-module-depth'),
+            guessSourceMaps: checked('option-guess-source-maps'),
+            liveTrafficSeconds: value('option-live-traffic-seconds'),
+            resourceTypes: Object.fromEntries(RESOURCE_TYPES.map(type => [type, checked(`type-${type}`)])),
+            timeoutSeconds: value('option-timeout'),
+            crawl: {
+                enabled: checked('crawl-enabled'),
+                maxDepth: value('crawl-max-depth'),
+                maxPages: value('crawl-max-pages'),
+                scope: value('crawl-scope')
+            },
+            queue: {
+                concurrency: value('queue-concurrency'),
+                perHostConcurrency: value('queue-per-host'),
+                delayMs: value('queue-delay')
+            },
+            retry: {
+                maxAttempts: value('retry-max-attempts')
+            },
+            persistRuns: checked('option-persist-runs')
+        });
     }
 
     handleDownloadError(error) {
+        this.runStatus = 'failed';
         this.log(`Download failed: ${error.message}`, 'error');
         this.showError(`Download failed: ${error.message}`);
     }
 
+    completeRun() {
+        if (this.runStatus === 'running') {
+            this.runStatus = 'completed';
+        }
+    }
+
     finalizeDownload() {
         this.isDownloading = false;
         document.getElementById('start-download').disabled = false;
+        this.largeDownloads.clear();
+        this.renderByteProgress();
+        this.finishRunRecord();
     }
 
     // =====================================
-    // PHASE 1: MAIN PAGE DOWNLOAD
+    // RUN PERSISTENCE (INDEXEDDB)
     // =====================================
-
-    async downloadMainPage(targetUrl) {
-        try {
-            const response = await this.fetchWithCORS(targetUrl);
-            const html = await response.text();
-            
-            this.saveFile('index.html', {
-                content: html,
-                size: html.length,
-                type: 'html',
-                url: targetUrl,
-                contentType: 'text/html'
+    //
+    // Files and queued URLs are written to IndexedDB in batches as they arrive, so the
+    // run survives a reload. Queued URLs stay "pending" until their task has run; tasks
+    // dropped by Stop (or lost to a crash) are downloaded first when the run is resumed.
+    // Ranges of large files are saved as they arrive too and dropped once the file is
+    // complete, so a resumed run continues a half-downloaded file instead of starting over.
+
+    isPersisting() {
+        return Boolean(this.runStore && this.runId);
+    }
+
+    startRunRecord(targetUrl, options, resumedRun) {
+        this.runId = null;
+        this.runStatus = 'running';
+        this.unsavedFiles.clear();
+        this.pendingAdded.clear();
+        this.pendingRemoved.clear();
+        this.unsavedChunks = [];
+        this.partialUrls.clear();
+        this.completedPartials.clear();
+        if (!this.runStore || !options.persistRuns) return;
+        
+        if (resumedRun) {
+            this.runId = resumedRun.id;
+            this.runRecordReady = this.runStore.updateRun(this.runId, { status: 'running', options });
+        } else {
+            this.runId = `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+            const now = new Date().toISOString();
+            this.runRecordReady = this.runStore.createRun({
+                id: this.runId,
+                targetUrl,
+                startedAt: now,
+                updatedAt: now,
+                status: 'running',
+                options,
+                mainPagePath: null,
+                fileCount: 0,
+                totalSize: 0
             });
-            
-            this.log('Main HTML downloaded successfully');
-            return html;
-            
-        } catch (error) {
-            throw new Error(`Failed to download main page: ${error.message}`);
-        }
-    }
-
-    // =====================================
-    // PHASE 2: STATIC RESOURCE EXTRACTION
-    // =====================================
-
-    async extractStaticResources(html, baseUrl) {
-        const resourceUrls = new Set();
-        const base = new URL(baseUrl);
-        
-        try {
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            // Extract different types of resources
-            this.extractScripts(doc, base, resourceUrls);
-            this.extractStylesheets(doc, base, resourceUrls);
-            this.extractImages(doc, base, resourceUrls);
-            this.extractOtherResources(doc, base, resourceUrls);
-            
-            const urls = Array.from(resourceUrls);
-            this.log(`Found ${urls.length} static resources in HTML`);
-            
-            return urls;
-            
-        } catch (error) {
-            this.log(`⚠️ Error parsing HTML: ${error.message}`, 'warn');
-            return [];
         }
-    }
-
-    extractScripts(doc, base, resourceUrls) {
-        doc.querySelectorAll('script[src]').forEach(script => {
-            const src = script.getAttribute('src');
-            this.addResourceUrl(src, base, resourceUrls, 'script');
+        this.runRecordReady.catch(error => {
+            this.log(`⚠️ Could not save this run in browser storage: ${error.message}`, 'warn');
+            this.runId = null;
         });
     }
 
-    extractStylesheets(doc, base, resourceUrls) {
-        doc.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
-            const href = link.getAttribute('href');
-            this.addResourceUrl(href, base, resourceUrls, 'stylesheet');
-        });
+    schedulePersist(filename, url = null) {
+        if (!this.isPersisting() || !filename) return;
+        this.unsavedFiles.add(filename);
+        if (url && this.partialUrls.delete(url)) {
+            this.completedPartials.add(url);
+        }
+        this.schedulePersistFlush();
     }
 
-    extractImages(doc, base, resourceUrls) {
-        doc.querySelectorAll('img[src]').forEach(img => {
-            const src = img.getAttribute('src');
-            this.addResourceUrl(src, base, resourceUrls, 'image');
-        });
+    schedulePersistChunk(chunk) {
+        if (!this.isPersisting()) return;
+        this.partialUrls.add(chunk.url);
+        this.unsavedChunks.push(chunk);
+        this.schedulePersistFlush();
     }
 
-    extractOtherResources(doc, base, resourceUrls) {
-        // Manifests, favicons, fonts, etc.
-        doc.querySelectorAll('link[href]:not([rel="stylesheet"])').forEach(link => {
-            const href = link.getAttribute('href');
-            this.addResourceUrl(href, base, resourceUrls, 'other');
-        });
+    trackPendingUrl(url) {
+        if (!this.isPersisting()) return;
+        this.pendingRemoved.delete(url);
+        this.pendingAdded.add(url);
+        this.schedulePersistFlush();
     }
 
-    addResourceUrl(url, base, resourceUrls, type) {
-        if (!url || url.startsWith('data:') || url.startsWith('#') || 
-            url.startsWith('mailto:') || url.startsWith('tel:')) {
-            return;
-        }
-
-        try {
-            const fullUrl = new URL(url, base).href;
-            if (fullUrl.startsWith('http')) {
-                resourceUrls.add(fullUrl);
-            }
-        } catch (error) {
-            this.log(`⚠️ Invalid URL: ${url}`, 'warn');
-        }
+    untrackPendingUrl(url) {
+        if (!this.isPersisting()) return;
+        this.pendingAdded.delete(url);
+        this.pendingRemoved.add(url);
+        this.schedulePersistFlush();
     }
 
-    // =====================================
-    // PHASE 3: STATIC RESOURCE DOWNLOAD
-    // =====================================
-
-    async downloadStaticResources(resourceUrls) {
-        let downloaded = 0;
-        const total = resourceUrls.length;
-        const cssResources = new Set();
-        for (const resourceUrl of resourceUrls) {
-            if (!this.isDownloading) break;
-            try {
-                const fileData = await this.downloadSingleResourceWithReturn(resourceUrl);
-                downloaded++;
-                const progress = 40 + (downloaded / total) * 30; // 40-70%
-                const filename = this.getFilenameFromUrl(resourceUrl);
-                this.updateProgress(progress, `Downloaded: ${filename}`);
-                // If CSS, parse for url(...) and queue discovered resources
-                if (fileData && fileData.contentType && fileData.contentType.includes('css') && typeof fileData.content === 'string') {
-                    const found = this.extractUrlsFromCss(fileData.content, resourceUrl);
-                    found.forEach(url => cssResources.add(url));
-                }
-            } catch (error) {
-                this.log(`❌ Failed to download ${resourceUrl}: ${error.message}`, 'warn');
-            }
-        }
-        // Download resources found in CSS
-        if (cssResources.size > 0) {
-            this.log(`Found ${cssResources.size} resources in CSS. Downloading...`);
-            for (const cssUrl of cssResources) {
-                if (!this.isDownloading) break;
-                try {
-                    await this.downloadSingleResource(cssUrl);
-                } catch (error) {
-                    this.log(`❌ Failed to download CSS resource ${cssUrl}: ${error.message}`, 'warn');
-                }
-            }
+    schedulePersistFlush() {
+        if (!this.persistTimer) {
+            this.persistTimer = setTimeout(() => this.flushPersistence(), 1000);
         }
-        this.log(`Downloaded ${downloaded}/${total} static resources (+CSS resources)`);
     }
 
-    async downloadSingleResource(url) {
-        if (this.downloadedUrls.has(url)) {
-            return; // Already downloaded
-        }
+    async flushPersistence() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        if (!this.isPersisting()) return;
+        
+        const runId = this.runId;
+        const files = Array.from(this.unsavedFiles, filename => [filename, this.engine.downloadedFiles.get(filename)])
+            .filter(([, fileData]) => fileData);
+        const addedPending = Array.from(this.pendingAdded);
+        const removedPending = Array.from(this.pendingRemoved);
+        const completedPartials = Array.from(this.completedPartials);
+        // Ranges of a file that completed meanwhile are not worth writing
+        const chunks = this.unsavedChunks.filter(({ url }) => !this.completedPartials.has(url));
+        this.unsavedFiles.clear();
+        this.pendingAdded.clear();
+        this.pendingRemoved.clear();
+        this.unsavedChunks = [];
+        this.completedPartials.clear();
         
         try {
-            const response = await this.fetchWithCORS(url);
-            const contentType = this.getContentType(response);
-            const content = await this.getResponseContent(response, contentType);
-            
-            const filename = this.generateFilename(url, contentType);
-            const fileType = this.determineFileType(filename, contentType);
-            
-            this.saveFile(filename, {
-                content: content,
-                size: this.getContentSize(content),
-                type: fileType,
-                url: url,
-                contentType: contentType
+            await this.runRecordReady;
+            await this.runStore.writeBatch(runId, { files, addedPending, removedPending, chunks, completedPartials });
+            await this.runStore.updateRun(runId, {
+                mainPagePath: this.engine.mainPagePath,
+                fileCount: this.engine.stats.totalFiles,
+                totalSize: this.engine.stats.totalSize
             });
-            
-            this.downloadedUrls.add(url);
-            
         } catch (error) {
-            throw new Error(`Failed to download ${url}: ${error.message}`);
-        }
-    }
-
-    // =====================================
-    // PHASE 4: SOURCE MAP PROCESSING
-    // =====================================
-
-    async processSourceMaps() {
-        const jsFiles = this.getJavaScriptFiles();
-        this.log(`Found ${jsFiles.length} JavaScript files to process`);
-        
-        let totalSourceFiles = 0;
-        
-        for (const { filename, file } of jsFiles) {
-            if (!this.isDownloading) break;
-            
-            try {
-                const sourceMapUrl = this.findSourceMapUrl(file);
-                if (sourceMapUrl) {
-                    this.log(`🗺️ Found source map for ${filename}: ${sourceMapUrl}`);
-                    const extractedCount = await this.processSourceMap(sourceMapUrl, filename);
-                    totalSourceFiles += extractedCount;
-                    this.log(`✅ Extracted ${extractedCount} source files from ${filename}`);
-                } else {
-                    this.log(`ℹ️ No source map found for ${filename}`);
-                }
-                
-            } catch (error) {
-                this.log(`❌ Error processing ${filename}: ${error.message}`, 'error');
+            // Out of quota: keep the run in memory and stop writing instead of failing every batch
+            this.log(`⚠️ Could not save progress to browser storage: ${error.message}`, 'warn');
+            if (error.name === 'QuotaExceededError') {
+                this.log('⚠️ Browser storage is full, this run will no longer be saved', 'warn');
+                this.runId = null;
             }
         }
-        
-        this.log(`✅ Total source files extracted: ${totalSourceFiles}`);
     }
 
-    getJavaScriptFiles() {
-        const jsFiles = [];
+    async finishRunRecord() {
+        if (!this.isPersisting()) return;
+        const runId = this.runId;
         
-        for (const [filename, file] of this.downloadedFiles) {
-            if (this.isJavaScriptFile(filename, file)) {
-                jsFiles.push({ filename, file });
-            }
-        }
-        
-        return jsFiles;
-    }
-
-    isJavaScriptFile(filename, file) {
-        return (
-            (filename.endsWith('.js') || 
-             file.type === 'script' || 
-             file.contentType?.includes('javascript')) &&
-            typeof file.content === 'string'
-        );
-    }
-
-    findSourceMapUrl(file) {
+        await this.flushPersistence();
         try {
-            this.log(`🔍 Searching for source map URL in file (${file.content.length} bytes)`, 'info');
-            
-            const mapMatch = file.content.match(/\/\/[@#]\s*sourceMappingURL=(.+)$/m);
-            if (!mapMatch) {
-                this.log(`❌ No source map URL found in file`, 'warn');
-                return null;
-            }
-            
-            const mapPath = mapMatch[1].trim();
-            this.log(`📍 Found source map reference: ${mapPath}`, 'info');
-            
-            let fullUrl;
-            if (mapPath.startsWith('http')) {
-                fullUrl = mapPath;
-            } else {
-                fullUrl = new URL(mapPath, file.url).href;
-            }
-            
-            this.log(`🌐 Full source map URL: ${fullUrl}`, 'info');
-            return fullUrl;
-            
-        } catch (error) {
-            this.log(`⚠️ Error finding source map URL: ${error.message}`, 'warn');
-            return null;
-        }
-    }
-
-    async processSourceMap(sourceMapUrl, jsFilename) {
-        try {
-            this.log(`🔄 Downloading source map: ${sourceMapUrl}`, 'info');
-            
-            // Download source map
-            const mapResponse = await this.fetchWithCORS(sourceMapUrl);
-            const mapContent = await mapResponse.text();
-            
-            this.log(`✅ Source map downloaded, size: ${mapContent.length} bytes`, 'info');
-            
-            // Save source map file
-            const mapFilename = this.generateFilename(sourceMapUrl, 'application/json');
-            this.saveFile(mapFilename, {
-                content: mapContent,
-                size: mapContent.length,
-                type: 'sourcemap',
-                url: sourceMapUrl,
-                contentType: 'application/json'
+            await this.runStore.updateRun(runId, {
+                status: this.runStatus,
+                durationSeconds: Math.round((Date.now() - this.engine.startTime) / 1000)
             });
-            
-            this.log(`💾 Source map saved as: ${mapFilename}`, 'info');
-            
-            // Extract source files from map
-            const extractedCount = await this.extractSourceFilesFromMap(mapContent, jsFilename);
-            
-            this.log(`📂 Extracted ${extractedCount} source files from source map`, 'info');
-            
-            return extractedCount;
-            
         } catch (error) {
-            this.log(`❌ Failed to process source map ${sourceMapUrl}: ${error.message}`, 'error');
-            return 0;
+            this.log(`⚠️ Could not update the saved run: ${error.message}`, 'warn');
         }
+        this.refreshSavedRuns();
     }
 
-    async extractSourceFilesFromMap(mapContent, jsFilename) {
-        try {
-            this.log(`🔍 Parsing source map for ${jsFilename}...`, 'info');
-            
-            const sourceMap = JSON.parse(mapContent);
-            
-            this.log(`📋 Source map parsed successfully`, 'info');
-            this.log(`   Sources: ${sourceMap.sources ? sourceMap.sources.length : 'undefined'}`, 'info');
-            this.log(`   SourcesContent: ${sourceMap.sourcesContent ? sourceMap.sourcesContent.length : 'undefined'}`, 'info');
-            
-            if (!sourceMap.sources || !sourceMap.sourcesContent) {
-                this.log(`⚠️ Source map missing sources or sourcesContent`, 'warn');
-                return 0;
-            }
-            
-            this.log(`📂 Processing ${sourceMap.sources.length} sources from source map...`);
-            
-            let extractedCount = 0;
-            
-            for (let i = 0; i < sourceMap.sources.length; i++) {
-                const sourcePath = sourceMap.sources[i];
-                const sourceContent = sourceMap.sourcesContent[i];
-                
-                if (this.shouldExtractSource(sourcePath, sourceContent)) {
-                    const cleanPath = this.cleanSourcePath(sourcePath);
-                    const sourceFilename = `src/${cleanPath}`;
-                    
-                    this.saveFile(sourceFilename, {
-                        content: sourceContent,
-                        size: sourceContent.length,
-                        type: 'source',
-                        url: null,
-                        originalPath: sourcePath
-                    });
-                    
-                    extractedCount++;
-                    
-                    // Log first few extractions for debugging
-                    if (extractedCount <= 5) {
-                        this.log(`   📄 Extracted: ${sourceFilename}`, 'info');
-                    }
-                }
-            }
-            
-            this.log(`✅ Successfully extracted ${extractedCount} source files`, 'info');
-            return extractedCount;
-            
-        } catch (error) {
-            this.log(`❌ Failed to parse source map: ${error.message}`, 'error');
-            this.log(`❌ Error details: ${error.stack}`, 'error');
-            return 0;
-        }
-    }
-
-    shouldExtractSource(sourcePath, sourceContent) {
-        if (!sourceContent || !sourcePath) return false;
+    // Load a saved run into memory so it can be exported again
+    async openRun(runId) {
+        if (this.isDownloading) return;
         
-        // Skip webpack internals
-        const skipPatterns = [
-            'webpack/',
-            'node_modules/',
-            'webpack:///',
-            '(webpack)',
-            'webpack/bootstrap',
-            'webpack/runtime'
-        ];
+        const run = await this.runStore.getRun(runId);
+        if (!run) return;
         
-        return !skipPatterns.some(pattern => sourcePath.includes(pattern));
-    }
-
-    cleanSourcePath(sourcePath) {
-        return sourcePath
-            .replace(/^\//, '')
-            .replace(/^webpack:\/\/[^/]*\//, '')
-            .replace(/^webpack:\/\//, '')
-            .replace(/^\.\//, '')
-            .replace(/\?.*$/, '')
-            .replace(/[<>:"|?*]/g, '_');
+        this.runId = null;
+        this.engine.loadSavedRun(run.targetUrl, {
+            options: run.options,
+            startedAt: run.startedAt,
+            files: await this.runStore.loadFiles(runId),
+            mainPagePath: run.mainPagePath
+        });
+        
+        this.showResults();
+        document.getElementById('download-time').textContent = run.durationSeconds !== undefined ? `${run.durationSeconds}s` : '–';
     }
 
-    // =====================================
-    // PHASE 5: DYNAMIC RESOURCE DISCOVERY
-    // =====================================
-
-    async findDynamicResources() {
-        const endpoints = this.extractEndpointsFromCode();
-        this.log(`🔍 Found ${endpoints.size} potential dynamic endpoints`);
-        
-        let downloadedCount = 0;
+    async deleteRun(runId) {
+        if (runId === this.runId && this.isDownloading) return;
+        if (!window.confirm('Delete this saved run and all of its files from browser storage?')) return;
         
-        for (const endpoint of endpoints) {
-            if (!this.isDownloading) break;
-            
-            try {
-                await this.downloadSingleResource(endpoint);
-                downloadedCount++;
-                this.log(`✅ Downloaded dynamic resource: ${endpoint}`);
-            } catch (error) {
-                // Many endpoints might fail, that's expected
-                this.log(`⚠️ Dynamic endpoint failed: ${endpoint}`, 'warn');
-            }
-        }
-        
-        this.log(`📡 Downloaded ${downloadedCount} dynamic resources`);
+        await this.runStore.deleteRun(runId);
+        this.refreshSavedRuns();
     }
 
-    extractEndpointsFromCode() {
-        const endpoints = new Set();
-        const baseUrl = this.downloadedFiles.get('index.html')?.url;
-        
-        if (!baseUrl) return endpoints;
+    async refreshSavedRuns() {
+        const list = document.getElementById('saved-runs-list');
+        const quotaElement = document.getElementById('storage-quota');
+        if (!list || !quotaElement) return;
         
-        for (const [filename, file] of this.downloadedFiles) {
-            if (file.type === 'script' && typeof file.content === 'string') {
-                this.extractApiEndpoints(file.content, baseUrl, endpoints);
-                this.extractResourceUrls(file.content, endpoints);
-            }
+        if (!this.runStore) {
+            quotaElement.textContent = 'IndexedDB is not available in this browser, runs are kept in memory only.';
+            return;
         }
         
-        return endpoints;
-    }
-
-    extractApiEndpoints(content, baseUrl, endpoints) {
-        const apiMatches = content.match(/['"`]\/api\/[^'"`\s]+['"`]/g);
-        if (apiMatches) {
-            for (const match of apiMatches) {
-                try {
-                    const endpoint = match.slice(1, -1); // Remove quotes
-                    const fullUrl = new URL(endpoint, baseUrl).href;
-                    endpoints.add(fullUrl);
-                } catch (error) {
-                    // Invalid URL, skip
-                }
-            }
-        }
-    }
-
-    extractResourceUrls(content, endpoints) {
-        const urlMatches = content.match(/['"`]https?:\/\/[^'"`\s]+['"`]/g);
-        if (urlMatches) {
-            for (const match of urlMatches) {
-                try {
-                    const url = match.slice(1, -1); // Remove quotes
-                    if (!this.downloadedUrls.has(url)) {
-                        endpoints.add(url);
-                    }
-                } catch (error) {
-                    // Invalid URL, skip
-                }
-            }
-        }
-    }
-
-    // =====================================
-    // NETWORK & CORS HANDLING
-    // =====================================
-
-    async fetchWithCORS(url) {
-        this.log(`Attempting to fetch: ${url}`, 'info');
         try {
-            // Get the appropriate CORS proxy URL
-            const baseUrl = getCorsProxyUrl();
-            const proxyUrl = `${baseUrl}?url=${encodeURIComponent(url)}`;
-            
-            const isLocal = window.location.hostname === 'localhost' || 
-                           window.location.hostname === '127.0.0.1' ||
-                           window.location.hostname === '0.0.0.0';
-                
-            this.log(`Using CORS proxy: ${proxyUrl} (${isLocal ? 'LOCAL-DEV' : 'PRODUCTION'})`, 'info');
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 180000);
-            const response = await fetch(proxyUrl, {
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'x-requested-with': 'XMLHttpRequest',
-                    'origin': window.location.origin
-                }
-            });
-            clearTimeout(timeoutId);
-            if (!response.ok) {
-                throw new Error(`Fetch failed with status ${response.status}`);
-            }
-            this.log(`Fetch successful`, 'info');
-            return response;
-        } catch (error) {
-            this.log(`Fetch failed: ${error.message}`, 'error');
-            throw new Error(`Fetch failed for ${url}: ${error.message}`);
-        }
-    }
-
-    // =====================================
-    // FILE MANAGEMENT
-    // =====================================
-
-    saveFile(filename, fileData) {
-        this.downloadedFiles.set(filename, fileData);
-        
-        // Update stats
-        this.stats.totalFiles++;
-        this.stats.totalSize += fileData.size;
-        
-        if (filename.startsWith('src/')) {
-            this.stats.sourceFiles++;
-        } else if (filename.endsWith('.js')) {
-            this.stats.jsFiles++;
-        } else if (filename.endsWith('.css')) {
-            this.stats.cssFiles++;
-        } else if (fileData.type === 'image') {
-            this.stats.imageFiles++;
-        }
-    }
-
-    // =====================================
-    // UTILITY METHODS
-    // =====================================
-
-    getContentType(response) {
-        if (response.headers && response.headers.get) {
-            return response.headers.get('content-type') || 'application/octet-stream';
-        }
-        return 'application/octet-stream';
-    }
-
-    async getResponseContent(response, contentType) {
-        if (contentType.includes('text') || 
-            contentType.includes('javascript') || 
-            contentType.includes('json') || 
-            contentType.includes('css')) {
-            return await response.text();
-        } else {
-            try {
-                return await response.arrayBuffer();
-            } catch (e) {
-                return await response.text();
-            }
-        }
-    }
-
-    getContentSize(content) {
-        return content.length || content.byteLength || 0;
-    }
-
-    generateFilename(url, contentType) {
-        try {
-            const urlObj = new URL(url);
-            let pathname = urlObj.pathname;
-            
-            // Handle root paths
-            if (!pathname || pathname === '/' || pathname.endsWith('/')) {
-                return this.getDefaultFilename(contentType);
-            }
+            const [runs, quota] = await Promise.all([this.runStore.listRuns(), this.runStore.estimateQuota()]);
             
-            let filename = pathname.split('/').pop();
+            quotaElement.textContent = quota && quota.quota
+                ? `Browser storage: ${this.formatFileSize(quota.usage)} used of ${this.formatFileSize(quota.quota)} (${(quota.usage / quota.quota * 100).toFixed(1)}%)`
+                : 'Browser storage: quota unknown';
             
-            // Handle query parameters
-            const hasExtension = filename.includes('.');
-            if (urlObj.search && !hasExtension) {
-                filename = filename + '_' + urlObj.search.slice(1).replace(/[=&]/g, '_').substring(0, 20);
-            }
-            
-            filename = filename.split('?')[0]; // Remove query params
-            
-            // Add extension if missing
-            if (!hasExtension) {
-                filename += this.getExtensionFromContentType(contentType);
-            }
-            
-            // Clean filename
-            return filename.replace(/[<>:"|?*]/g, '_') || `resource_${Date.now()}.bin`;
-            
-        } catch (e) {
-            return `resource_${Date.now()}.bin`;
-        }
-    }
-
-    getDefaultFilename(contentType) {
-        if (contentType.includes('html')) return 'index.html';
-        if (contentType.includes('css')) return 'index.css';
-        if (contentType.includes('javascript')) return 'index.js';
-        return 'index.bin';
-    }
-
-    getExtensionFromContentType(contentType) {
-        const extensions = {
-            'text/html': '.html',
-            'text/css': '.css',
-            'application/javascript': '.js',
-            'text/javascript': '.js',
-            'application/json': '.json',
-            'image/png': '.png',
-            'image/jpeg': '.jpg',
-            'image/gif': '.gif',
-            'image/svg+xml': '.svg'
-        };
-        
-        for (const [mimeType, ext] of Object.entries(extensions)) {
-            if (contentType.includes(mimeType.split('/')[1])) {
-                return ext;
+            list.innerHTML = '';
+            if (runs.length === 0) {
+                list.textContent = 'No saved runs yet.';
+                return;
             }
+            runs.forEach(run => list.appendChild(this.createSavedRunItem(run)));
+        } catch (error) {
+            quotaElement.textContent = `Browser storage unavailable: ${error.message}`;
         }
-        
-        return '.bin';
     }
 
-    determineFileType(filename, contentType) {
-        if (contentType.includes('javascript')) return 'script';
-        if (contentType.includes('css')) return 'stylesheet';
-        if (contentType.includes('image')) return 'image';
-        if (contentType.includes('html')) return 'html';
+    createSavedRunItem(run) {
+        // A run still marked as running that isn't this tab's current run was cut off by a reload or crash
+        const active = run.id === this.runId && this.isDownloading;
+        const status = run.status === 'running' && !active ? 'interrupted' : run.status;
         
-        const ext = filename.split('.').pop().toLowerCase();
-        const typeMap = {
-            'js': 'script', 'jsx': 'script', 'ts': 'script', 'tsx': 'script',
-            'css': 'stylesheet', 'scss': 'stylesheet',
-            'png': 'image', 'jpg': 'image', 'jpeg': 'image', 'gif': 'image', 'svg': 'image',
-            'html': 'html', 'htm': 'html',
-            'map': 'sourcemap'
+        const item = document.createElement('div');
+        item.className = 'file-item';
+        item.innerHTML = `
+            <div>
+                <i class="fas fa-history file-icon"></i>
+                <span></span>
+                <small style="color: #666; margin-left: 10px;"></small>
+            </div>
+            <div class="saved-run-actions"></div>
+        `;
+        item.querySelector('span').textContent = run.targetUrl;
+        item.querySelector('small').textContent =
+            `${new Date(run.startedAt).toLocaleString()} · ${run.fileCount} files · ${this.formatFileSize(run.totalSize)} · ${status}`;
+        
+        const actions = item.querySelector('.saved-run-actions');
+        const addAction = (icon, title, handler) => {
+            const button = document.createElement('button');
+            button.className = 'btn-secondary';
+            button.title = title;
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            button.disabled = active;
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
         };
-        
-        return typeMap[ext] || 'other';
-    }
-
-    getFilenameFromUrl(url) {
-        try {
-            const urlObj = new URL(url);
-            return urlObj.pathname.split('/').pop() || 'index';
-        } catch (e) {
-            return 'resource';
+        if (status !== 'completed') {
+            addAction('fa-play', 'Resume', () => this.resumeRun(run.id));
         }
-    }
-
-    isValidUrl(string) {
-        try {
-            const url = new URL(string);
-            return url.protocol === 'http:' || url.protocol === 'https:';
-        } catch (_) {
-            return false;
-        }
-    }
-
-    resetStats() {
-        this.stats = {
-            totalFiles: 0,
-            sourceFiles: 0,
-            jsFiles: 0,
-            cssFiles: 0,
-            imageFiles: 0,
-            totalSize: 0
-        };
+        addAction('fa-folder-open', 'Open', () => this.openRun(run.id));
+        addAction('fa-trash', 'Delete', () => this.deleteRun(run.id));
+        
+        return item;
     }
 
     // =====================================
     // REPORTING & RESULTS
     // =====================================
 
-    generateFinalReport() {
-        this.log(`Final Statistics:`);
-        this.log(`   Total Files: ${this.stats.totalFiles}`);
-        this.log(`   Total Size: ${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB`);
-        this.log(`   Source Files: ${this.stats.sourceFiles}`);
-        this.log(`   JavaScript Files: ${this.stats.jsFiles}`);
-        this.log(`   CSS Files: ${this.stats.cssFiles}`);
-        this.log(`   Image Files: ${this.stats.imageFiles}`);
-    }
-
     showResults() {
+        const { stats } = this.engine;
         document.getElementById('results-section').style.display = 'block';
         
-        const downloadTime = Math.round((Date.now() - this.startTime) / 1000);
+        const downloadTime = Math.round((Date.now() - this.engine.startTime) / 1000);
         
-        document.getElementById('total-files').textContent = this.stats.totalFiles;
-        document.getElementById('total-size').textContent = `${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB`;
+        document.getElementById('total-files').textContent = stats.totalFiles;
+        document.getElementById('total-size').textContent = `${(stats.totalSize / 1024 / 1024).toFixed(2)} MB`;
         document.getElementById('download-time').textContent = `${downloadTime}s`;
         
         // Update source files count if element exists
         const sourceFilesElement = document.getElementById('source-files');
         if (sourceFilesElement) {
-            sourceFilesElement.textContent = this.stats.sourceFiles;
+            sourceFilesElement.textContent = stats.sourceFiles;
+        }
+        
+        const fontFilesElement = document.getElementById('font-files');
+        if (fontFilesElement) {
+            fontFilesElement.textContent = stats.fontFiles;
         }
         
         this.updateFileList();
-        this.showSuccess(`Successfully downloaded ${this.stats.totalFiles} files using advanced extraction!`);
+        this.showSuccess(`Successfully downloaded ${stats.totalFiles} files using advanced extraction!`);
     }
 
     updateFileList() {
         const fileList = document.getElementById('file-list');
         fileList.innerHTML = '';
         
-        const sortedFiles = Array.from(this.downloadedFiles.entries())
+        const sortedFiles = Array.from(this.engine.downloadedFiles.entries())
             .sort(([a], [b]) => a.localeCompare(b));
+        const pwaFiles = sortedFiles.filter(([, file]) => file.pwaSource);
+        const otherFiles = sortedFiles.filter(([, file]) => !file.pwaSource);
         
-        for (const [filename, file] of sortedFiles) {
+        if (pwaFiles.length > 0) {
+            this.appendFileGroup(fileList, 'PWA assets', pwaFiles);
+            this.appendFileGroup(fileList, 'Other files', otherFiles);
+        } else {
+            this.appendFileGroup(fileList, null, otherFiles);
+        }
+    }
+
+    appendFileGroup(fileList, title, files) {
+        if (title) {
+            const heading = document.createElement('div');
+            heading.className = 'file-group-title';
+            heading.textContent = `${title} (${files.length})`;
+            fileList.appendChild(heading);
+        }
+        
+        for (const [filename, file] of files) {
             const fileItem = document.createElement('div');
             fileItem.className = 'file-item';
             
@@ -919,13 +603,17 @@ class AdvancedWebResourceDownloader {
             fileItem.innerHTML = `
                 <div>
                     <i class="fas ${icon} file-icon"></i>
-                    <span>${filename}</span>
+                    <span></span>
                     <small style="color: #666; margin-left: 10px;">${size}</small>
                 </div>
-                <button class="btn-secondary" onclick="downloader.downloadSingleFile('${filename}')">
+                <button class="btn-secondary">
                     <i class="fas fa-download"></i>
                 </button>
             `;
+            // Archive paths come from the site's URLs, so keep them out of the markup
+            fileItem.querySelector('span').textContent = filename;
+            fileItem.title = file.url || file.originalPath || filename;
+            fileItem.querySelector('button').addEventListener('click', () => this.downloadSingleFile(filename));
             
             fileList.appendChild(fileItem);
         }
@@ -938,6 +626,7 @@ class AdvancedWebResourceDownloader {
             'image': 'fa-file-image',
             'source': 'fa-file-code',
             'sourcemap': 'fa-file-alt',
+            'font': 'fa-font',
             'html': 'fa-file-code',
             'other': 'fa-file'
         };
@@ -956,29 +645,116 @@ class AdvancedWebResourceDownloader {
     // FILE OPERATIONS
     // =====================================
 
+    // Entries are written one by one to a file on disk (File System Access API) or, where
+    // that isn't available, to Blobs the browser can page out, so the archive is never held
+    // in memory next to the files
     async downloadAsZip() {
+        const splitMegabytes = Number(document.getElementById('zip-split-size')?.value) || 0;
+        const splitBytes = Math.max(0, splitMegabytes) * 1024 * 1024;
+        const baseName = `${this.engine.getExportBaseName()}-advanced-resources`;
+        const partName = part => (splitBytes > 0 || part > 1 ? `${baseName}.part${part}.zip` : `${baseName}.zip`);
+        
+        // The picker needs the click's user activation, so it comes before any other work
+        let openPart;
+        try {
+            openPart = await this.chooseZipDestination(partName, splitBytes > 0);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.log('ZIP export cancelled');
+                return;
+            }
+            this.log(`ZIP export failed: ${error.message}`, 'error');
+            this.showError(`ZIP export failed: ${error.message}`);
+            return;
+        }
+        
         this.log('Creating ZIP file...');
+        const button = document.getElementById('download-zip');
+        button.disabled = true;
         
-        const zip = new JSZip();
+        try {
+            const entries = this.engine.buildArchiveEntries();
+            
+            let lastPaint = 0;
+            const parts = await writeZipArchive(entries, {
+                openPart,
+                splitBytes,
+                onProgress: async progress => {
+                    this.updateZipProgress(progress);
+                    // Let the browser repaint the progress bar now and then
+                    if (Date.now() - lastPaint > 100) {
+                        lastPaint = Date.now();
+                        await new Promise(resolve => setTimeout(resolve, 0));
+                    }
+                }
+            });
+            
+            this.log(parts > 1 ? `ZIP file downloaded in ${parts} parts (extract them into the same folder)` : 'ZIP file downloaded!');
+        } catch (error) {
+            this.log(`ZIP export failed: ${error.message}`, 'error');
+            this.showError(`ZIP export failed: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Returns openPart(partNumber) -> sink. Split archives go into a picked folder, a single
+    // archive into a picked file; without the File System Access API each part is saved as a Blob
+    async chooseZipDestination(partName, split) {
+        const saveAsBlob = part => createBlobSink(blob => saveAs(blob, partName(part)));
         
-        for (const [filename, file] of this.downloadedFiles) {
-            if (typeof file.content === 'string') {
-                zip.file(filename, file.content);
-            } else {
-                zip.file(filename, file.content);
-            }
+        if (split && window.showDirectoryPicker) {
+            const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            return async part => createFileHandleSink(await directory.getFileHandle(partName(part), { create: true }));
         }
+        if (!split && window.showSaveFilePicker) {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: partName(1),
+                types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+            });
+            // Only an archive past the 4 GB ZIP limit gets a second part
+            return part => (part === 1 ? createFileHandleSink(handle) : saveAsBlob(part));
+        }
+        return saveAsBlob;
+    }
+
+    updateZipProgress({ entriesDone, totalEntries, bytesWritten, part }) {
+        const container = document.getElementById('zip-progress');
+        if (!container) return;
         
-        const content = await zip.generateAsync({ type: 'blob' });
-        const targetUrl = document.getElementById('target-url').value;
-        const domain = new URL(targetUrl).hostname;
+        const percentage = totalEntries > 0 ? (entriesDone / totalEntries) * 100 : 100;
+        container.style.display = 'block';
+        document.getElementById('zip-progress-fill').style.width = `${percentage}%`;
+        document.getElementById('zip-progress-fill').textContent = `${Math.round(percentage)}%`;
+        document.getElementById('zip-progress-text').textContent =
+            `${entriesDone}/${totalEntries} files · ${this.formatFileSize(bytesWritten)} written${part > 1 ? ` · part ${part}` : ''}`;
+    }
+
+    downloadHar() {
+        const includeBodies = Boolean(document.getElementById('har-include-bodies')?.checked);
+        const har = this.engine.buildHarLog(includeBodies);
         
-        saveAs(content, `${domain}-advanced-resources.zip`);
-        this.log('ZIP file downloaded!');
+        const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+        saveAs(blob, `${this.engine.getExportBaseName()}-requests.har`);
+        this.log(`📼 HAR file downloaded (${har.log.entries.length} requests${includeBodies ? ', with response bodies' : ''})`);
+    }
+
+    async downloadWarc() {
+        this.log('Creating WARC file...');
+        
+        try {
+            const { blob, filename, recordCount } = await this.engine.buildWarcArchive();
+            
+            saveAs(blob, filename);
+            this.log(`🏛️ WARC file downloaded (${recordCount} response records)`);
+        } catch (error) {
+            this.log(`WARC export failed: ${error.message}`, 'error');
+            this.showError(`WARC export failed: ${error.message}`);
+        }
     }
 
     downloadSingleFile(filename) {
-        const file = this.downloadedFiles.get(filename);
+        const file = this.engine.downloadedFiles.get(filename);
         if (!file) return;
         
         let blob;
@@ -988,23 +764,27 @@ class AdvancedWebResourceDownloader {
             blob = new Blob([file.content]);
         }
         
-        saveAs(blob, filename);
+        saveAs(blob, filename.split('/').pop());
     }
 
+    // Requests already in flight still finish and write into the engine, so Start stays
+    // disabled (and isDownloading set) until finalizeDownload() once run() has settled
     stopDownload() {
-        this.isDownloading = false;
-        this.log('Download stopped by user');
-        document.getElementById('start-download').disabled = false;
+        if (!this.isDownloading || this.runStatus === 'stopped') return;
+        this.runStatus = 'stopped';
+        this.engine.stop();
+        this.log('Download stopped by user, waiting for requests in flight...');
     }
 
     resetDownload() {
-        this.downloadedFiles.clear();
-        this.downloadedUrls.clear();
+        this.engine.reset();
         this.isDownloading = false;
-        this.resetStats();
+        this.runId = null;
+        this.refreshSavedRuns();
         
         document.getElementById('progress-section').style.display = 'none';
         document.getElementById('results-section').style.display = 'none';
+        document.getElementById('zip-progress').style.display = 'none';
         document.getElementById('error-container').innerHTML = '';
         document.getElementById('start-download').disabled = false;
     }
@@ -0,0 +1,303 @@
+/**
+ * Bundler-aware chunk discovery
+ * Code-split chunks are never referenced by the HTML: the bundler runtime builds their
+ * URLs at run time. These helpers read the webpack chunk tables and Vite preload lists
+ * out of (minified) bundle code so the chunks can be downloaded like any other script.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*/;
+
+function skipWhitespace(code, i) {
+    while (i < code.length && /\s/.test(code[i])) i++;
+    return i;
+}
+
+// '...', "..." or a template literal without ${} -> { value, end }
+function readString(code, i) {
+    const quote = code[i];
+    if (quote !== '"' && quote !== "'" && quote !== '`') return null;
+
+    let value = '';
+    for (let j = i + 1; j < code.length; j++) {
+        const ch = code[j];
+        if (ch === '\\') {
+            value += code[j + 1];
+            j++;
+            continue;
+        }
+        if (ch === quote) return { value, end: j + 1 };
+        if (quote === '`' && ch === '$' && code[j + 1] === '{') return null;
+        if (ch === '\n' && quote !== '`') return null;
+        value += ch;
+    }
+    return null;
+}
+
+// { 12: "abc", "vendors-main": "def" } -> { map, end }
+function readObjectLiteral(code, i) {
+    if (code[i] !== '{') return null;
+
+    const map = {};
+    let j = skipWhitespace(code, i + 1);
+    while (code[j] !== '}') {
+        if (j >= code.length) return null;
+
+        let key;
+        const quotedKey = readString(code, j);
+        if (quotedKey) {
+            key = quotedKey.value;
+            j = quotedKey.end;
+        } else {
+            const bareKey = /^[\w$]+/.exec(code.slice(j, j + 128));
+            if (!bareKey) return null;
+            key = bareKey[0];
+            j += bareKey[0].length;
+        }
+
+        j = skipWhitespace(code, j);
+        if (code[j] !== ':') return null;
+        const value = readString(code, skipWhitespace(code, j + 1));
+        if (!value) return null;
+        map[key] = value.value;
+
+        j = skipWhitespace(code, value.end);
+        if (code[j] === ',') {
+            j = skipWhitespace(code, j + 1);
+        } else if (code[j] !== '}') {
+            return null;
+        }
+    }
+    return { map, end: j + 1 };
+}
+
+// {…}[id] or ({…})[id], optionally followed by ||id
+function readLookup(code, i) {
+    let object;
+    if (code[i] === '(') {
+        object = readObjectLiteral(code, skipWhitespace(code, i + 1));
+        if (!object) return null;
+        const close = skipWhitespace(code, object.end);
+        if (code[close] !== ')') return null;
+        object = { map: object.map, end: close + 1 };
+    } else {
+        object = readObjectLiteral(code, i);
+        if (!object) return null;
+    }
+
+    let j = skipWhitespace(code, object.end);
+    const index = /^\[\s*([A-Za-z_$][\w$]*)\s*\]/.exec(code.slice(j, j + 64));
+    if (!index) return null;
+    j = skipWhitespace(code, j + index[0].length);
+
+    const part = { type: 'lookup', map: object.map, ident: index[1], fallback: false, end: j };
+    const fallback = /^\|\|\s*([A-Za-z_$][\w$]*)/.exec(code.slice(j, j + 64));
+    if (fallback && fallback[1] === index[1]) {
+        part.fallback = true;
+        part.end = j + fallback[0].length;
+    }
+    return part;
+}
+
+function readPart(code, i) {
+    const ch = code[i];
+
+    if (ch === '"' || ch === "'" || ch === '`') {
+        const string = readString(code, i);
+        return string && { type: 'literal', value: string.value, end: string.end };
+    }
+    if (ch === '{') {
+        return readLookup(code, i);
+    }
+    if (ch === '(') {
+        // ({…}[id]||id) or (({…})[id]||id)
+        const inner = readLookup(code, skipWhitespace(code, i + 1));
+        if (inner) {
+            const close = skipWhitespace(code, inner.end);
+            if (code[close] === ')') return { ...inner, end: close + 1 };
+        }
+        // ({…})[id]
+        return readLookup(code, i);
+    }
+
+    const identifier = IDENTIFIER.exec(code.slice(i, i + 64));
+    if (identifier) {
+        // `a.p`, `a[b]` or `f(x)` is not the chunk id
+        const next = code[skipWhitespace(code, i + identifier[0].length)];
+        if (next === '.' || next === '[' || next === '(') return null;
+        return { type: 'id', ident: identifier[0], end: i + identifier[0].length };
+    }
+    return null;
+}
+
+// "static/js/" + e + "." + {…}[e] + ".chunk.js" -> parts, or null if it isn't that shape
+function readConcatenation(code, i) {
+    const parts = [];
+    let j = i;
+
+    for (;;) {
+        j = skipWhitespace(code, j);
+        const part = readPart(code, j);
+        if (!part) return null;
+        parts.push(part);
+        j = skipWhitespace(code, part.end);
+        if (code[j] !== '+') break;
+        j++;
+    }
+    return parts;
+}
+
+function readChunkTemplate(code, i) {
+    const start = skipWhitespace(code, i);
+    const parts = readConcatenation(code, start);
+    if (parts) return parts;
+
+    // e => ("static/js/" + e + ".js")
+    if (code[start] === '(') {
+        const inner = readConcatenation(code, start + 1);
+        if (inner) return inner;
+    }
+    return null;
+}
+
+function readStringList(listSource) {
+    const strings = [];
+    const stringRegex = /(["'])([^"']+)\1/g;
+    let match;
+    while ((match = stringRegex.exec(listSource)) !== null) {
+        strings.push(match[2]);
+    }
+    return strings;
+}
+
+/**
+ * Find chunk URL templates in a webpack runtime:
+ *   webpack 5: __webpack_require__.u / .miniCssF = (chunkId) => "…" + chunkId + "…"
+ *   webpack 4: function jsonpScriptSrc(chunkId) { return __webpack_require__.p + "…" }
+ *              var href = "static/css/" + ({…}[chunkId]||chunkId) + …  (mini-css-extract)
+ */
+export function findWebpackChunkTemplates(code) {
+    const templates = [];
+    const starts = [
+        /\.(?:u|miniCssF)\s*=\s*(?:function\s*\(\s*[\w$]+\s*\)\s*\{\s*return(?![\w$])\s*|\(?\s*[\w$]+\s*\)?\s*=>\s*(?:\{\s*return(?![\w$])\s*)?)/g,
+        /return\s+[\w$]+\.p\s*\+\s*/g,
+        /[\w$]+\s*=\s*(?=(["'])[^"'\n]*\1\s*\+\s*\(\s*\{)/g
+    ];
+
+    for (const regex of starts) {
+        let match;
+        while ((match = regex.exec(code)) !== null) {
+            const parts = readChunkTemplate(code, match.index + match[0].length);
+            if (!parts) continue;
+
+            const variables = new Set(parts.filter(part => part.type !== 'literal').map(part => part.ident));
+            const last = parts[parts.length - 1];
+            // Exactly one chunk id variable, and the result has to name a script or stylesheet
+            if (variables.size === 1 && last.type === 'literal' && /\.(m?js|css)(\?.*)?$/.test(last.value)) {
+                templates.push(parts);
+            }
+        }
+    }
+    return templates;
+}
+
+/**
+ * Chunk ids requested anywhere in the code: __webpack_require__.e(123) / n.e("src_pages_Home_js")
+ */
+export function findWebpackChunkIds(code) {
+    const ids = new Set();
+    const regex = /\.e\(\s*(?:(\d+)|(["'])([^"']+)\2)\s*\)/g;
+    let match;
+    while ((match = regex.exec(code)) !== null) {
+        ids.add(match[1] ?? match[3]);
+    }
+    return ids;
+}
+
+/**
+ * Expand a template for every known chunk id. Ids missing from a hash table have no such file.
+ */
+export function buildChunkPaths(template, extraIds = []) {
+    const ids = new Set(extraIds);
+    template
+        .filter(part => part.type === 'lookup')
+        .forEach(part => Object.keys(part.map).forEach(id => ids.add(id)));
+
+    const paths = [];
+    for (const id of ids) {
+        let path = '';
+        for (const part of template) {
+            if (part.type === 'literal') {
+                path += part.value;
+            } else if (part.type === 'id') {
+                path += id;
+            } else if (Object.prototype.hasOwnProperty.call(part.map, id)) {
+                path += part.map[id];
+            } else if (part.fallback) {
+                path += id;
+            } else {
+                path = null;
+                break;
+            }
+        }
+        if (path) paths.push(path);
+    }
+    return paths;
+}
+
+/**
+ * __webpack_require__.p: a literal public path, or `scriptUrl + "../../"` for publicPath "auto"
+ */
+export function findWebpackPublicPath(code) {
+    const literal = /\.p\s*=\s*(["'])([^"']*)\1/.exec(code);
+    if (literal && literal[2] !== 'auto') {
+        return { type: 'literal', value: literal[2] };
+    }
+
+    const relative = /\.p\s*=\s*[\w$]+\s*\+\s*(["'])([^"']*)\1/.exec(code);
+    if (relative) {
+        return { type: 'script-relative', value: relative[2] };
+    }
+    return null;
+}
+
+export function isViteBundle(code) {
+    return /__vitePreload|__vite__mapDeps|vite:preloadError/.test(code);
+}
+
+/**
+ * Vite chunk references:
+ *   deps: preload lists relative to the app base (`m.f||(m.f=["assets/a.js", …])` in Vite 5,
+ *         `import("./a.js"), ["assets/a.js", "assets/a.css"]` before that)
+ *   imports: dynamic import() specifiers, relative to the importing chunk
+ *   base: the app base used by the preload helper (`return "/" + dep`)
+ */
+export function findViteChunkReferences(code) {
+    const deps = new Set();
+    const imports = new Set();
+    let match;
+
+    const mapDepsRegex = /\.f\s*\|\|\s*\(\s*[\w$]+\.f\s*=\s*\[([^\]]*)\]/g;
+    while ((match = mapDepsRegex.exec(code)) !== null) {
+        readStringList(match[1]).forEach(dep => deps.add(dep));
+    }
+
+    const preloadListRegex = /import\(\s*(["'])[^"']+\1\s*\)\s*,\s*\[([^\]]*)\]/g;
+    while ((match = preloadListRegex.exec(code)) !== null) {
+        readStringList(match[2]).forEach(dep => deps.add(dep));
+    }
+
+    const importRegex = /\bimport\(\s*(["'])([^"']+)\1\s*\)/g;
+    while ((match = importRegex.exec(code)) !== null) {
+        if (/^(\.{1,2})?\//.test(match[2])) {
+            imports.add(match[2]);
+        }
+    }
+
+    const baseMatch = /function\s*\(\s*([\w$]+)\s*\)\s*\{\s*return\s*(["'])(\/[^"']*)\2\s*\+\s*\1\s*\}/.exec(code);
+
+    return {
+        deps: Array.from(deps).filter(dep => /\.(m?js|css)(\?.*)?$/.test(dep)),
+        imports: Array.from(imports),
+        base: baseMatch ? baseMatch[3] : '/'
+    };
+}
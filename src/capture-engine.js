@@ -0,0 +1,2903 @@
+
+/**
+ * CAPTURE ENGINE
+ * ==============
+ * The extraction phases without any UI: fetching, resource discovery, source maps, archive
+ * layout and the offline/HAR/WARC exports. Progress is reported as events, so the same core
+ * runs behind the web page (advanced-downloader.js) and the Node command (bin/deepfetch.mjs).
+ *
+ * Events (engine.on(type, listener)):
+ *   log       { message, level }
+ *   progress  { percentage, message }
+ *   file      { filename, fileData }   a file was stored or updated
+ *   queued    { url }                  a download was queued
+ *   settled   { url }                  a queued download ran, whatever its outcome
+ *   chunk     { url, start, data, total, validator, headers }
+ *                                      a range of a large file arrived (see RANGED DOWNLOADS)
+ *   bytes     { url, received, total } byte progress of a large file
+ *
+ * Environment (constructor):
+ *   proxyUrl   CORS proxy endpoint, called as `${proxyUrl}?url=…`; null fetches directly
+ *   origin     Origin header sent to the proxy
+ *   proxyToken bearer token for a proxy that requires one
+ *   observerProxyToken  token the running page may see for live traffic (Phase 5b); the page
+ *              can read it, so it should be a short-lived signed token, never proxyToken
+ *   parseHtml  html -> Document, defaults to the browser's DOMParser
+ *   fetch      defaults to the global fetch
+ *   observeTraffic  ({ html, pageUrl, proxyUrl, proxyToken, durationMs, signal }) -> Promise<[{ url, kind, method, atMs }]>,
+ *              runs a page and reports its requests (Phase 5b); only the browser has one
+ */
+import DownloadQueue from './download-queue.js';
+import { DEFAULT_RETRY_POLICY, getRetryDecision } from './retry-policy.js';
+import {
+    RANGE_CHUNK_BYTES,
+    isRangeCandidate,
+    formatRange,
+    parseContentRange,
+    getRangeValidator,
+    concatChunks
+} from './ranged-download.js';
+import { RESOURCE_TYPES, normalizeOptions, describeOptions } from './download-options.js';
+import {
+    findWebpackChunkTemplates,
+    findWebpackChunkIds,
+    buildChunkPaths,
+    findWebpackPublicPath,
+    isViteBundle,
+    findViteChunkReferences
+} from './bundle-chunks.js';
+import { findScriptDependencies } from './module-graph.js';
+import { findCssReferences, replaceCssReferences } from './css-urls.js';
+import { buildHar } from './har-export.js';
+import { buildWarc, isGzipSupported } from './warc-export.js';
+import {
+    isWebAppManifest,
+    findManifestUrls,
+    findServiceWorkerRegistrations,
+    findPrecacheUrls,
+    findNgswUrls
+} from './pwa-assets.js';
+
+/**
+ * Capture engine
+ * Attempts to replicate browser network inspection for web-based resource extraction
+ */
+class CaptureEngine {
+    // Helper: like downloadSingleResource, but returns fileData for further processing
+    async downloadSingleResourceWithReturn(url) {
+        // Parallel tasks can discover the same URL, so claim it before fetching
+        if (this.downloadedUrls.has(url) || this.inFlightUrls.has(url)) {
+            return null; // Already downloaded or being downloaded
+        }
+        this.inFlightUrls.add(url);
+        try {
+            const response = await this.fetchWithCORS(url);
+            const contentType = this.getContentType(response);
+            
+            // The URL didn't reveal the type, the response does: drop disabled types before storing them
+            const responseType = this.determineFileType(this.getFilenameFromUrl(url), contentType);
+            if (!this.isResourceTypeEnabled(responseType)) {
+                this.log(`⏭️ Skipped ${url} (${responseType} downloads disabled)`);
+                return null;
+            }
+            
+            const content = await this.getResponseContent(response, contentType, url);
+            const filename = this.generateFilename(url, contentType);
+            const fileType = this.determineFileType(filename, contentType);
+            const fileData = {
+                content: content,
+                size: this.getContentSize(content),
+                type: fileType,
+                url: url,
+                contentType: contentType,
+                headers: this.getResponseHeaders(response)
+            };
+            this.addRedirect(fileData);
+            this.saveFile(filename, fileData);
+            this.downloadedUrls.add(url);
+            this.registerRedirectTarget(url, filename);
+            return fileData;
+        } catch (error) {
+            throw new Error(`Failed to download ${url}: ${error.message}`);
+        } finally {
+            this.inFlightUrls.delete(url);
+        }
+    }
+
+    // Extract every @import, url(), image-set() and @font-face reference from CSS content, resolve relative to baseUrl
+    extractUrlsFromCss(css, baseUrl) {
+        const urls = new Set();
+        for (const { url: rawUrl } of findCssReferences(css)) {
+            if (!rawUrl || rawUrl.startsWith('data:') || rawUrl.startsWith('#')) continue;
+            try {
+                const absUrl = new URL(rawUrl, baseUrl).href;
+                urls.add(absUrl);
+            } catch (e) {}
+        }
+        return urls;
+    }
+    constructor({ proxyUrl = null, origin = null, proxyToken = null, observerProxyToken = null, parseHtml = null, fetch: fetchImpl = null, observeTraffic = null } = {}) {
+        this.downloadedFiles = new Map();
+        this.downloadedUrls = new Set();
+        this.inFlightUrls = new Set();
+        this.downloadQueue = null;
+        this.retryPolicy = DEFAULT_RETRY_POLICY;
+        this.fetchAttempts = new Map(); // url -> [{ attempt, range, status, error, durationMs, retryDelayMs }]
+        this.redirects = new Map();     // url -> { finalUrl, chain: [{ status, url }] } for redirected fetches
+        this.partialDownloads = new Map(); // url -> { url, total, validator, headers, chunks, received }
+        this.requestLog = [];           // every attempt with headers and body, for the HAR export
+        this.responseRecords = new WeakMap(); // response -> { record, headersAt } until its body is read
+        this.sourceMapsFound = [];      // [{ file, map, method }]
+        this.resourceReferences = new Map(); // url -> [{ page, element, attribute }]
+        this.pwaAssets = new Map();          // url -> { source, from }
+        this.observedRequests = [];          // [{ url, kind, method, atMs }] made by the running page
+        this.observerAbort = null;
+        this.archivePaths = new Map();      // url -> archive path
+        this.archivePathOwners = new Map(); // lower-cased archive path -> url
+        this.targetUrl = null;
+        this.mainPagePath = null;
+        this.options = normalizeOptions();
+        this.isDownloading = false;
+        this.startTime = null;
+        this.stats = {
+            totalFiles: 0,
+            sourceFiles: 0,
+            jsFiles: 0,
+            cssFiles: 0,
+            imageFiles: 0,
+            fontFiles: 0,
+            totalSize: 0
+        };
+        
+        this.proxyUrl = proxyUrl;
+        this.origin = origin;
+        this.proxyToken = proxyToken;
+        this.observerProxyToken = observerProxyToken;
+        this.parseHtml = parseHtml || (html => new DOMParser().parseFromString(html, 'text/html'));
+        this.fetchImpl = fetchImpl || ((url, init) => fetch(url, init));
+        this.observeTraffic = observeTraffic;
+        this.listeners = new Map();         // event type -> Set of listeners
+    }
+
+    // =====================================
+    // EVENTS & LOGGING
+    // =====================================
+
+    // Returns a function that removes the listener again
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    emit(type, detail) {
+        this.listeners.get(type)?.forEach(listener => listener(detail));
+    }
+
+    log(message, level = 'info') {
+        this.emit('log', { message, level });
+    }
+
+    updateProgress(percentage, message = '') {
+        this.emit('progress', { percentage, message });
+        
+        if (message) {
+            this.log(message);
+        }
+    }
+
+    // =====================================
+    // MAIN DOWNLOAD ORCHESTRATION
+    // =====================================
+
+    /**
+     * Capture `targetUrl`. `options` go through normalizeOptions(). A `restore` of
+     * { files: [[filename, fileData]], mainPagePath, pending: [url], partials } continues a saved
+     * run: its files count as downloaded, its pending URLs are fetched first and its partly
+     * downloaded files (see restorePartials()) continue where they stopped.
+     * Resolves with the stats once every phase ran (or stop() was called).
+     */
+    async run(targetUrl, { options = {}, restore = null } = {}) {
+        this.initializeDownload(targetUrl, options);
+        
+        try {
+            if (restore) {
+                this.restoreFiles(restore.files, restore.mainPagePath);
+                this.restorePartials(restore.partials);
+                this.log(`♻️ Restored ${restore.files.length} files, ${restore.pending.length} URLs pending`
+                    + (this.partialDownloads.size > 0 ? `, ${this.partialDownloads.size} partly downloaded` : ''));
+                if (restore.pending.length > 0) {
+                    this.updateProgress(2, 'Resuming: downloading pending URLs...');
+                    await this.downloadStaticResources(restore.pending, 2, 5);
+                }
+            }
+            await this.executeDownloadProcess(targetUrl);
+            return this.stats;
+        } finally {
+            this.isDownloading = false;
+        }
+    }
+
+    // Tasks still waiting in the queue are dropped; running requests finish
+    stop() {
+        this.isDownloading = false;
+        this.downloadQueue?.clear();
+        this.observerAbort?.abort();
+    }
+
+    initializeDownload(targetUrl, options) {
+        this.reset();
+        this.isDownloading = true;
+        this.startTime = Date.now();
+        this.targetUrl = targetUrl;
+        this.options = normalizeOptions(options);
+        this.downloadQueue = new DownloadQueue(this.options.queue);
+        this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...this.options.retry };
+        
+        this.log('Starting advanced download process...');
+        describeOptions(this.options).forEach(line => this.log(`   ${line}`));
+        if (this.options.phases.sourceMaps && !this.options.resourceTypes.script) {
+            this.log('⚠️ Scripts are not downloaded, so there are no source map references to follow', 'warn');
+        }
+        this.updateProgress(0, 'Initializing advanced browser simulation...');
+    }
+
+    // Forget everything the last run collected
+    reset() {
+        this.mainPagePath = null;
+        this.fetchAttempts.clear();
+        this.redirects.clear();
+        this.partialDownloads.clear();
+        this.requestLog = [];
+        this.responseRecords = new WeakMap();
+        this.sourceMapsFound = [];
+        this.resourceReferences.clear();
+        this.pwaAssets.clear();
+        this.observedRequests = [];
+        this.downloadedFiles.clear();
+        this.downloadedUrls.clear();
+        this.inFlightUrls.clear();
+        this.clearArchivePaths();
+        this.resetStats();
+    }
+
+    // Load a saved run's files so they can be exported again, without fetching anything
+    loadSavedRun(targetUrl, { options, startedAt, files, mainPagePath = null }) {
+        this.reset();
+        this.targetUrl = targetUrl;
+        this.options = normalizeOptions(options);
+        this.startTime = Date.parse(startedAt);
+        this.restoreFiles(files, mainPagePath);
+    }
+
+    // Files from a saved run go back into memory without being announced as new
+    restoreFiles(files, mainPagePath = null) {
+        for (const [filename, fileData] of files) {
+            this.downloadedFiles.set(filename, fileData);
+            this.updateStats(filename, fileData, 1);
+            if (fileData.url && fileData.type !== 'source') {
+                const key = this.normalizeUrl(fileData.url);
+                this.downloadedUrls.add(fileData.url);
+                this.archivePaths.set(key, filename);
+                this.archivePathOwners.set(filename.toLowerCase(), key);
+            }
+        }
+        // Once every file is in place, so a redirect target never shadows a file saved under that URL
+        for (const [filename, fileData] of files) {
+            if (fileData.url && fileData.redirect) {
+                this.redirects.set(this.normalizeUrl(fileData.url), fileData.redirect);
+                this.registerRedirectTarget(fileData.url, filename);
+            }
+        }
+        this.mainPagePath = mainPagePath;
+    }
+
+    // Every network download goes through the shared queue; tasks still waiting when the run stops are
+    // skipped and never settle, so a saved run keeps them as pending
+    enqueueDownload(url, task) {
+        this.emit('queued', { url });
+        return this.downloadQueue.add(url, async () => {
+            if (!this.isDownloading) return null;
+            try {
+                return await task();
+            } finally {
+                this.emit('settled', { url });
+            }
+        });
+    }
+
+    async executeDownloadProcess(targetUrl) {
+        // Phase 1: Download main HTML page
+        this.updateProgress(5, 'Phase 1: Downloading main HTML page...');
+        const html = await this.downloadMainPage(targetUrl);
+        
+        // Phases 2-3: Extract and download static resources (for every crawled page in crawl mode)
+        if (this.options.crawl.enabled) {
+            await this.crawlPages(targetUrl, html);
+        } else {
+            await this.processPage(html, targetUrl, 20, 70);
+        }
+        
+        // Phase 3b: Lazy-loaded chunks only the bundler runtime knows about
+        if (this.options.phases.bundleChunks) {
+            this.updateProgress(70, 'Phase 3b: Discovering lazy-loaded bundle chunks...');
+            await this.discoverBundleChunks();
+        } else {
+            this.updateProgress(70, 'Phase 3b: Skipped (bundle chunk discovery disabled)');
+        }
+        
+        // Phase 3c: Scripts, workers and WebAssembly loaded by the downloaded scripts
+        if (this.options.phases.moduleGraph) {
+            this.updateProgress(72, 'Phase 3c: Following module imports, workers and WebAssembly...');
+            await this.crawlModuleGraph();
+        } else {
+            this.updateProgress(72, 'Phase 3c: Skipped (module graph crawl disabled)');
+        }
+        
+        // Phase 3d: Assets listed by the web app manifest and service worker
+        if (this.options.phases.pwaAssets) {
+            this.updateProgress(73, 'Phase 3d: Analyzing web app manifest and service worker...');
+            await this.analyzePwaAssets();
+        } else {
+            this.updateProgress(73, 'Phase 3d: Skipped (PWA asset discovery disabled)');
+        }
+        
+        // Phase 4: Process JavaScript files for source maps
+        if (this.options.phases.sourceMaps) {
+            this.updateProgress(75, 'Phase 4: Processing source maps...');
+            await this.processSourceMaps();
+        } else {
+            this.updateProgress(75, 'Phase 4: Skipped (source map extraction disabled)');
+        }
+        
+        // Phase 5: Search for dynamic resources
+        if (this.options.phases.dynamicResources) {
+            this.updateProgress(85, 'Phase 5: Searching for dynamic resources...');
+            await this.findDynamicResources();
+        } else {
+            this.updateProgress(85, 'Phase 5: Skipped (XHR/API capture disabled)');
+        }
+        
+        // Phase 5b: Requests the page really makes when it runs
+        if (this.options.phases.liveTraffic) {
+            this.updateProgress(90, `Phase 5b: Recording live traffic for ${this.options.liveTrafficSeconds}s...`);
+            await this.captureLiveTraffic();
+        }
+        
+        // Phase 6: Generate final report
+        this.updateProgress(95, 'Phase 6: Generating report...');
+        this.generateFinalReport();
+        
+        this.updateProgress(100, 'Advanced extraction completed!');
+    }
+
+    // =====================================
+    // PHASE 1: MAIN PAGE DOWNLOAD
+    // =====================================
+
+    async downloadMainPage(targetUrl) {
+        // A resumed run already has it
+        const saved = this.getDownloadedFile(targetUrl);
+        if (saved?.type === 'html' && typeof saved.content === 'string') {
+            this.mainPagePath = this.archivePaths.get(this.normalizeUrl(targetUrl));
+            this.log(`Main HTML restored from the saved run (${this.mainPagePath})`);
+            return saved.content;
+        }
+        
+        try {
+            const response = await this.fetchWithCORS(targetUrl);
+            const html = await this.readResponseText(response);
+            
+            this.mainPagePath = this.generateFilename(targetUrl, 'text/html');
+            this.saveFile(this.mainPagePath, this.addRedirect({
+                content: html,
+                size: html.length,
+                type: 'html',
+                url: targetUrl,
+                contentType: 'text/html'
+            }));
+            this.downloadedUrls.add(targetUrl);
+            this.registerRedirectTarget(targetUrl, this.mainPagePath);
+            
+            this.log(`Main HTML downloaded successfully (${this.mainPagePath})`);
+            const redirect = this.redirects.get(this.normalizeUrl(targetUrl));
+            if (redirect) {
+                this.log(`↪️ The page redirected to ${redirect.finalUrl}, links resolve against it`);
+            }
+            return html;
+            
+        } catch (error) {
+            throw new Error(`Failed to download main page: ${error.message}`);
+        }
+    }
+
+    // =====================================
+    // PHASES 2-3 PER PAGE & CRAWLING
+    // =====================================
+
+    async processPage(html, pageUrl, progressStart, progressEnd) {
+        if (!this.options.phases.domResources) {
+            this.updateProgress(progressEnd, `Phases 2-3: Skipped for ${pageUrl} (DOM resource extraction disabled)`);
+            return;
+        }
+        
+        const downloadStart = progressStart + (progressEnd - progressStart) * 0.4;
+        
+        // Phase 2: Extract static resources
+        this.updateProgress(progressStart, `Phase 2: Extracting static resources from ${pageUrl}...`);
+        const resourceUrls = await this.extractStaticResources(html, this.getBaseUrl(pageUrl));
+        
+        // Phase 3: Download all static resources
+        this.updateProgress(downloadStart, 'Phase 3: Downloading static resources...');
+        await this.downloadStaticResources(resourceUrls, downloadStart, progressEnd);
+    }
+
+    // Breadth-first over <a href> links, bounded by depth, page count and scope
+    async crawlPages(startUrl, startHtml) {
+        const { maxDepth, maxPages } = this.options.crawl;
+        const queue = [{ url: startUrl, html: startHtml, depth: 0 }];
+        const queued = new Set([this.normalizeUrl(startUrl)]);
+        let pagesCrawled = 0;
+        let progress = 20;
+        
+        while (queue.length > 0 && pagesCrawled < maxPages) {
+            if (!this.isDownloading) break;
+            
+            const page = queue.shift();
+            const html = page.html ?? await this.downloadLinkedPage(page.url);
+            if (html === null) continue;
+            // Links to where the page redirected are the same page
+            queued.add(this.normalizeUrl(this.getBaseUrl(page.url)));
+            
+            pagesCrawled++;
+            this.log(`📄 Crawling page ${pagesCrawled}/${maxPages} (depth ${page.depth}): ${page.url}`);
+            
+            if (page.depth < maxDepth) {
+                for (const link of this.extractPageLinks(html, this.getBaseUrl(page.url))) {
+                    const key = this.normalizeUrl(link);
+                    if (queued.has(key) || !this.isInCrawlScope(key)) continue;
+                    queued.add(key);
+                    queue.push({ url: key, depth: page.depth + 1 });
+                }
+            }
+            
+            // The page total is only known once the queue drains, so never let the bar move backwards
+            const estimatedPages = Math.min(maxPages, pagesCrawled + queue.length);
+            const pageEnd = Math.max(progress, 20 + (pagesCrawled / estimatedPages) * 50);
+            await this.processPage(html, page.url, progress, pageEnd);
+            progress = pageEnd;
+        }
+        
+        if (queue.length > 0) {
+            this.log(`ℹ️ Page limit reached, ${queue.length} queued pages were not crawled`);
+        }
+        this.log(`🕸️ Crawled ${pagesCrawled} pages`);
+    }
+
+    async downloadLinkedPage(url) {
+        // Pages restored from a saved run still need their links followed
+        const saved = this.getDownloadedFile(url);
+        if (saved) {
+            return saved.type === 'html' && typeof saved.content === 'string' ? saved.content : null;
+        }
+        
+        try {
+            const fileData = await this.downloadSingleResourceWithReturn(url);
+            if (!fileData || fileData.type !== 'html' || typeof fileData.content !== 'string') {
+                return null;
+            }
+            return fileData.content;
+        } catch (error) {
+            this.log(`❌ Failed to crawl ${url}: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    extractPageLinks(html, pageUrl) {
+        const links = new Set();
+        
+        try {
+            const doc = this.parseHtml(html);
+            const baseHref = doc.querySelector('base[href]')?.getAttribute('href');
+            const base = baseHref ? new URL(baseHref, pageUrl) : new URL(pageUrl);
+            
+            doc.querySelectorAll('a[href], area[href]').forEach(anchor => {
+                if (anchor.hasAttribute('download')) return;
+                this.addResourceUrl(anchor.getAttribute('href'), base, links, 'page');
+            });
+        } catch (error) {
+            this.log(`⚠️ Error extracting links from ${pageUrl}: ${error.message}`, 'warn');
+        }
+        
+        return links;
+    }
+
+    isInCrawlScope(url) {
+        try {
+            const urlObj = new URL(url);
+            // A target that redirects (example.com -> www.example.com) is crawled where it landed
+            const start = new URL(this.getBaseUrl(this.targetUrl));
+            if (urlObj.origin !== start.origin) return false;
+            
+            // Only follow links that look like documents, not archives or media
+            const lastSegment = urlObj.pathname.split('/').pop();
+            if (lastSegment.includes('.') && !/\.(x?html?|php|aspx?|jsp|cfm)$/i.test(lastSegment)) {
+                return false;
+            }
+            
+            if (this.options.crawl.scope === 'path') {
+                const prefix = start.pathname.slice(0, start.pathname.lastIndexOf('/') + 1);
+                return urlObj.pathname.startsWith(prefix);
+            }
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // =====================================
+    // PHASE 2: STATIC RESOURCE EXTRACTION
+    // =====================================
+
+    async extractStaticResources(html, baseUrl) {
+        const resourceUrls = new Set();
+        const base = new URL(baseUrl);
+        
+        try {
+            const doc = this.parseHtml(html);
+            
+            // Extract different types of resources
+            this.extractScripts(doc, base, resourceUrls);
+            this.extractStylesheets(doc, base, resourceUrls);
+            this.extractImages(doc, base, resourceUrls);
+            this.extractMedia(doc, base, resourceUrls);
+            this.extractEmbeds(doc, base, resourceUrls);
+            this.extractSvgResources(doc, base, resourceUrls);
+            this.extractInlineStyles(doc, base, resourceUrls);
+            this.extractMetaImages(doc, base, resourceUrls);
+            this.extractOtherResources(doc, base, resourceUrls);
+            
+            const urls = Array.from(resourceUrls);
+            this.log(`Found ${urls.length} static resources in HTML`);
+            
+            return urls;
+            
+        } catch (error) {
+            this.log(`⚠️ Error parsing HTML: ${error.message}`, 'warn');
+            return [];
+        }
+    }
+
+    // Every element matching `selector` contributes its `attribute` as a resource of `type`
+    extractAttribute(doc, selector, attribute, base, resourceUrls, type) {
+        doc.querySelectorAll(selector).forEach(element => {
+            const value = element.getAttribute(attribute);
+            const source = { element: element.localName, attribute };
+            this.addResourceUrl(value?.trim(), base, resourceUrls, type, source);
+        });
+    }
+
+    extractSrcsetAttribute(doc, selector, attribute, base, resourceUrls) {
+        doc.querySelectorAll(selector).forEach(element => {
+            const source = { element: element.localName, attribute };
+            this.parseSrcset(element.getAttribute(attribute))
+                .forEach(({ url }) => this.addResourceUrl(url, base, resourceUrls, 'image', source));
+        });
+    }
+
+    extractScripts(doc, base, resourceUrls) {
+        this.extractAttribute(doc, 'script[src]', 'src', base, resourceUrls, 'script');
+    }
+
+    extractStylesheets(doc, base, resourceUrls) {
+        this.extractAttribute(doc, 'link[rel="stylesheet"]', 'href', base, resourceUrls, 'stylesheet');
+    }
+
+    extractImages(doc, base, resourceUrls) {
+        this.extractAttribute(doc, 'img[src]', 'src', base, resourceUrls, 'image');
+        this.extractAttribute(doc, 'input[type="image"][src]', 'src', base, resourceUrls, 'image');
+        // Responsive candidates: <img srcset> and <picture><source srcset>
+        this.extractSrcsetAttribute(doc, 'img[srcset], picture source[srcset]', 'srcset', base, resourceUrls);
+    }
+
+    extractMedia(doc, base, resourceUrls) {
+        this.extractAttribute(doc, 'video[src], audio[src], video source[src], audio source[src]', 'src', base, resourceUrls, 'other');
+        this.extractAttribute(doc, 'track[src]', 'src', base, resourceUrls, 'other');
+        this.extractAttribute(doc, 'video[poster]', 'poster', base, resourceUrls, 'image');
+    }
+
+    // Framed documents are stored as pages, embedded objects by their own type
+    extractEmbeds(doc, base, resourceUrls) {
+        this.extractAttribute(doc, 'iframe[src], frame[src]', 'src', base, resourceUrls, 'html');
+        this.extractAttribute(doc, 'object[data]', 'data', base, resourceUrls, 'other');
+        this.extractAttribute(doc, 'embed[src]', 'src', base, resourceUrls, 'other');
+    }
+
+    // <use> and <image> reference external sprites and pictures through href or the older xlink:href
+    extractSvgResources(doc, base, resourceUrls) {
+        doc.querySelectorAll('svg use, svg image').forEach(element => {
+            for (const attribute of ['href', 'xlink:href']) {
+                const value = element.getAttribute(attribute);
+                if (value) {
+                    const source = { element: element.localName, attribute };
+                    this.addResourceUrl(value.trim(), base, resourceUrls, 'image', source);
+                }
+            }
+        });
+    }
+
+    // url() in <style> blocks and style="" attributes
+    extractInlineStyles(doc, base, resourceUrls) {
+        doc.querySelectorAll('style').forEach(style => {
+            const source = { element: 'style', attribute: null };
+            this.extractUrlsFromCss(style.textContent, base.href)
+                .forEach(url => this.addResourceUrl(url, base, resourceUrls, 'other', source));
+        });
+        doc.querySelectorAll('[style]').forEach(element => {
+            const source = { element: element.localName, attribute: 'style' };
+            this.extractUrlsFromCss(element.getAttribute('style'), base.href)
+                .forEach(url => this.addResourceUrl(url, base, resourceUrls, 'other', source));
+        });
+    }
+
+    // Social preview images are never rendered, so nothing else would find them
+    extractMetaImages(doc, base, resourceUrls) {
+        const names = ['og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image', 'twitter:image:src'];
+        const selector = names.map(name => `meta[property="${name}"], meta[name="${name}"]`).join(', ');
+        this.extractAttribute(doc, selector, 'content', base, resourceUrls, 'image');
+    }
+
+    extractOtherResources(doc, base, resourceUrls) {
+        // Manifests, favicons, fonts, etc.
+        this.extractAttribute(doc, 'link[href]:not([rel="stylesheet"])', 'href', base, resourceUrls, 'other');
+    }
+
+    addResourceUrl(url, base, resourceUrls, type, source = null) {
+        if (!url || url.startsWith('data:') || url.startsWith('#') || 
+            url.startsWith('mailto:') || url.startsWith('tel:')) {
+            return;
+        }
+
+        try {
+            // Fragments (sprite.svg#icon) never reach the server
+            const fullUrl = this.normalizeUrl(new URL(url, base).href);
+            if (!fullUrl.startsWith('http')) {
+                return;
+            }
+            // Skip disabled types early when the element or extension already tells us the type
+            const expectedType = type === 'other' ? this.determineFileType(this.getFilenameFromUrl(fullUrl), '') : type;
+            if (expectedType !== 'other' && !this.isResourceTypeEnabled(expectedType)) {
+                return;
+            }
+            resourceUrls.add(fullUrl);
+            if (source) {
+                this.recordResourceReference(fullUrl, base.href, source);
+            }
+        } catch (error) {
+            this.log(`⚠️ Invalid URL: ${url}`, 'warn');
+        }
+    }
+
+    // Where a URL was referenced, for the manifest
+    recordResourceReference(url, page, { element, attribute }) {
+        const references = this.resourceReferences.get(url) || [];
+        const known = references.some(reference =>
+            reference.page === page && reference.element === element && reference.attribute === attribute);
+        if (!known) {
+            references.push({ page, element, attribute });
+            this.resourceReferences.set(url, references);
+        }
+    }
+
+    // Pages, source maps and sources are governed by the phase options, not the type filters
+    isResourceTypeEnabled(type) {
+        if (!RESOURCE_TYPES.includes(type)) {
+            return true;
+        }
+        return this.options.resourceTypes[type];
+    }
+
+    // =====================================
+    // PHASE 3: STATIC RESOURCE DOWNLOAD
+    // =====================================
+
+    async downloadStaticResources(resourceUrls, progressStart = 40, progressEnd = 70) {
+        let downloaded = 0;
+        let completed = 0;
+        let total = resourceUrls.length;
+        let progress = progressStart;
+        const cssResources = new Set();
+        const tasks = [];
+        
+        // Requests finish out of order, so progress counts completions rather than positions
+        const reportCompletion = (message) => {
+            completed++;
+            progress = Math.max(progress, progressStart + (completed / total) * (progressEnd - progressStart));
+            this.updateProgress(progress, message);
+        };
+        
+        // Imported stylesheets are scanned in turn; the seen-set stops @import cycles
+        const scanStylesheet = (fileData, cssUrl) => {
+            if (fileData?.type === 'stylesheet' && typeof fileData.content === 'string') {
+                this.extractUrlsFromCss(fileData.content, this.getBaseUrl(cssUrl)).forEach(queueCssResource);
+            }
+        };
+        
+        const queueCssResource = (cssUrl) => {
+            if (cssResources.has(cssUrl) || resourceUrls.includes(cssUrl)) return;
+            cssResources.add(cssUrl);
+            total++;
+            tasks.push(this.enqueueDownload(cssUrl, async () => {
+                try {
+                    const fileData = await this.downloadSingleResourceWithReturn(cssUrl);
+                    reportCompletion();
+                    scanStylesheet(fileData, cssUrl);
+                } catch (error) {
+                    reportCompletion();
+                    this.log(`❌ Failed to download CSS resource ${cssUrl}: ${error.message}`, 'warn');
+                }
+            }));
+        };
+        
+        for (const resourceUrl of resourceUrls) {
+            tasks.push(this.enqueueDownload(resourceUrl, async () => {
+                try {
+                    const fileData = await this.downloadSingleResourceWithReturn(resourceUrl);
+                    if (fileData) {
+                        downloaded++;
+                    }
+                    reportCompletion(`Downloaded: ${this.getFilenameFromUrl(resourceUrl)}`);
+                    // If CSS, parse for @import/url(...) and queue discovered resources
+                    scanStylesheet(fileData, resourceUrl);
+                } catch (error) {
+                    reportCompletion();
+                    this.log(`❌ Failed to download ${resourceUrl}: ${error.message}`, 'warn');
+                }
+            }));
+        }
+        
+        // CSS tasks are added while the first batch runs
+        while (tasks.length > 0) {
+            await Promise.all(tasks.splice(0));
+        }
+        
+        if (cssResources.size > 0) {
+            this.log(`Found ${cssResources.size} resources in CSS`);
+        }
+        this.log(`Downloaded ${downloaded}/${resourceUrls.length} static resources (+CSS resources)`);
+    }
+
+    async downloadSingleResource(url) {
+        await this.downloadSingleResourceWithReturn(url);
+    }
+
+    // =====================================
+    // PHASE 3b: BUNDLE CHUNK DISCOVERY
+    // =====================================
+
+    // Downloaded chunks can name further chunks (nested imports, chunk tables in a lazy runtime),
+    // so keep scanning until a round finds nothing new
+    async discoverBundleChunks(maxRounds = 5) {
+        const attempted = new Set();
+        let found = 0;
+        let downloaded = 0;
+        
+        for (let round = 1; round <= maxRounds && this.isDownloading; round++) {
+            const chunks = this.findBundleChunkUrls()
+                .filter(({ url }) => !attempted.has(url) && !this.downloadedUrls.has(url));
+            if (chunks.length === 0) break;
+            
+            found += chunks.length;
+            this.log(`🧩 Round ${round}: ${chunks.length} bundle chunks to download`);
+            chunks.forEach(({ url }) => attempted.add(url));
+            
+            const results = await Promise.all(chunks.map(({ url, discoveredBy }) => this.enqueueDownload(url, async () => {
+                try {
+                    const fileData = await this.downloadSingleResourceWithReturn(url);
+                    if (fileData) {
+                        fileData.discoveredBy = discoveredBy;
+                        this.log(`✅ Downloaded chunk (${discoveredBy}): ${url}`);
+                    }
+                    return fileData;
+                } catch (error) {
+                    this.log(`⚠️ Chunk download failed: ${url}`, 'warn');
+                    return null;
+                }
+            })));
+            
+            const stylesheets = results.filter(fileData => fileData?.type === 'stylesheet' && typeof fileData.content === 'string');
+            downloaded += results.filter(Boolean).length;
+            
+            // Chunk CSS brings its own imports, fonts and images
+            const cssAssets = new Set(stylesheets.flatMap(fileData => Array.from(this.extractUrlsFromCss(fileData.content, this.getBaseUrl(fileData.url)))));
+            if (cssAssets.size > 0) {
+                await this.downloadStaticResources(Array.from(cssAssets), 70, 70);
+            }
+        }
+        
+        this.log(`🧩 Downloaded ${downloaded}/${found} lazy-loaded bundle chunks`);
+    }
+
+    // Chunk URLs named by webpack runtimes and Vite preload lists in the downloaded scripts
+    findBundleChunkUrls() {
+        const chunks = new Map();
+        const addChunk = (path, base, discoveredBy) => {
+            try {
+                const url = new URL(path, base).href;
+                if (!chunks.has(url)) {
+                    chunks.set(url, discoveredBy);
+                }
+            } catch (error) {
+                // Not a resolvable path
+            }
+        };
+        
+        const scripts = this.getJavaScriptFiles().filter(({ file }) => file.url);
+        
+        // The runtime holds the templates, the ids can be requested from any chunk
+        const chunkIds = new Set();
+        scripts.forEach(({ file }) => findWebpackChunkIds(file.content).forEach(id => chunkIds.add(id)));
+        
+        for (const { file } of scripts) {
+            const templates = findWebpackChunkTemplates(file.content);
+            if (templates.length > 0) {
+                const publicPath = this.resolveWebpackPublicPath(file);
+                templates.forEach(template => buildChunkPaths(template, chunkIds)
+                    .forEach(path => addChunk(path, publicPath, 'webpack-runtime')));
+            }
+            
+            // Lazy Vite chunks import the preload helper under a minified name, so trust where they came from
+            if (isViteBundle(file.content) || file.discoveredBy?.startsWith('vite')) {
+                const { deps, imports, base } = findViteChunkReferences(file.content);
+                const appBase = new URL(base, this.getBaseUrl(file.url)).href;
+                deps.forEach(dep => addChunk(dep, appBase, 'vite-preload'));
+                imports.forEach(specifier => addChunk(specifier, this.getBaseUrl(file.url), 'vite-import'));
+            }
+        }
+        
+        return Array.from(chunks, ([url, discoveredBy]) => ({ url, discoveredBy }));
+    }
+
+    // Chunk paths are relative to __webpack_require__.p: the page for a literal public path,
+    // the runtime script itself for publicPath "auto"
+    resolveWebpackPublicPath(file) {
+        const publicPath = findWebpackPublicPath(file.content);
+        if (publicPath?.type === 'literal') {
+            return new URL(publicPath.value, this.getBaseUrl(this.targetUrl)).href;
+        }
+        if (publicPath?.type === 'script-relative') {
+            return new URL(publicPath.value, this.getBaseUrl(file.url)).href;
+        }
+        return new URL('./', this.getBaseUrl(file.url)).href;
+    }
+
+    // =====================================
+    // PHASE 3c: MODULE GRAPH (IMPORTS, WORKERS, WASM)
+    // =====================================
+
+    // Breadth-first from every downloaded script; each level is one more import hop
+    async crawlModuleGraph() {
+        const maxDepth = this.options.moduleGraphDepth;
+        const visited = new Set();
+        let level = this.getJavaScriptFiles()
+            .filter(({ file }) => file.url)
+            .map(({ file }) => ({ file, contextUrl: this.getBaseUrl(this.targetUrl) }));
+        let found = 0;
+        let downloaded = 0;
+        
+        for (let depth = 1; depth <= maxDepth && level.length > 0 && this.isDownloading; depth++) {
+            const dependencies = new Map();
+            
+            for (const { file, contextUrl } of level) {
+                if (visited.has(file.url)) continue;
+                visited.add(file.url);
+                
+                for (const dependency of findScriptDependencies(file.content)) {
+                    const url = this.resolveScriptDependency(dependency, this.getBaseUrl(file.url), contextUrl);
+                    if (!url || dependencies.has(url) || this.downloadedUrls.has(url)) continue;
+                    // A worker's fetch() and importScripts() resolve against the worker, not the page
+                    dependencies.set(url, {
+                        kind: dependency.kind,
+                        contextUrl: dependency.kind === 'worker' ? url : contextUrl
+                    });
+                }
+            }
+            
+            if (dependencies.size === 0) break;
+            found += dependencies.size;
+            this.log(`🔗 Import depth ${depth}: ${dependencies.size} new modules, workers and assets`);
+            
+            const results = await Promise.all(Array.from(dependencies, ([url, { kind, contextUrl }]) => this.enqueueDownload(url, async () => {
+                try {
+                    const fileData = await this.downloadSingleResourceWithReturn(url);
+                    if (!fileData) return null;
+                    
+                    fileData.discoveredBy = kind;
+                    downloaded++;
+                    this.log(`✅ Downloaded ${kind} dependency: ${url}`);
+                    return { file: fileData, contextUrl };
+                } catch (error) {
+                    this.log(`⚠️ Module dependency failed: ${url}`, 'warn');
+                    return null;
+                }
+            })));
+            
+            level = results.filter(result => result && this.isJavaScriptFile(result.file.url, result.file));
+        }
+        
+        if (level.length > 0 && this.isDownloading) {
+            this.log(`ℹ️ Stopped at module import depth ${maxDepth}`);
+        }
+        this.log(`🔗 Downloaded ${downloaded}/${found} modules, workers and assets loaded by scripts`);
+    }
+
+    resolveScriptDependency(dependency, scriptUrl, contextUrl) {
+        try {
+            const base = dependency.relativeTo === 'module' ? scriptUrl : contextUrl;
+            const url = new URL(dependency.specifier, base);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // =====================================
+    // PHASE 3d: WEB APP MANIFEST & SERVICE WORKER
+    // =====================================
+
+    async analyzePwaAssets() {
+        // Manifests were downloaded through <link rel="manifest">; recognize them by content
+        for (const [filename, file] of Array.from(this.downloadedFiles)) {
+            const manifest = this.parseWebAppManifest(filename, file);
+            if (!manifest) continue;
+            
+            this.log(`📱 Web app manifest: ${file.url}`);
+            this.addPwaAsset(file.url, 'manifest', this.targetUrl);
+            findManifestUrls(manifest).forEach(({ url }) => this.addPwaAsset(url, 'manifest', this.getBaseUrl(file.url)));
+        }
+        
+        // Registrations resolve against the registering page, which for scripts is the target page
+        const workerUrls = new Set();
+        for (const [, file] of this.downloadedFiles) {
+            if ((file.type !== 'script' && file.type !== 'html') || typeof file.content !== 'string' || !file.url) continue;
+            const base = this.getBaseUrl(file.type === 'html' ? file.url : this.targetUrl);
+            findServiceWorkerRegistrations(file.content).forEach(specifier => {
+                try {
+                    workerUrls.add(new URL(specifier, base).href);
+                } catch (error) {
+                    // Not a resolvable path
+                }
+            });
+        }
+        
+        for (const workerUrl of workerUrls) {
+            if (!this.isDownloading) break;
+            await this.analyzeServiceWorker(workerUrl);
+        }
+        
+        await this.downloadPwaAssets();
+    }
+
+    parseWebAppManifest(filename, file) {
+        if (typeof file.content !== 'string' || !file.url) return null;
+        const looksLikeJson = /\.(webmanifest|json)$/i.test(filename) || /json|manifest/i.test(file.contentType || '');
+        if (!looksLikeJson) return null;
+        
+        try {
+            const json = JSON.parse(file.content);
+            return isWebAppManifest(json) ? json : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async analyzeServiceWorker(workerUrl) {
+        const worker = await this.fetchPwaFile(workerUrl);
+        if (!worker) {
+            this.log(`⚠️ Could not download service worker ${workerUrl}`, 'warn');
+            return;
+        }
+        this.log(`⚙️ Service worker: ${workerUrl}`);
+        this.addPwaAsset(workerUrl, 'service-worker', this.targetUrl);
+        
+        // Workbox 4 keeps its precache list in an imported precache-manifest.<hash>.js
+        const scripts = [worker];
+        for (const { specifier, kind } of findScriptDependencies(worker.content)) {
+            if (kind !== 'importScripts') continue;
+            const imported = await this.fetchPwaFile(new URL(specifier, workerUrl).href);
+            if (imported) {
+                this.addPwaAsset(imported.url, 'service-worker', workerUrl);
+                scripts.push(imported);
+            }
+        }
+        
+        // Precache URLs are relative to the service worker
+        let precached = 0;
+        for (const script of scripts) {
+            const urls = findPrecacheUrls(script.content);
+            urls.forEach(url => this.addPwaAsset(url, 'precache', workerUrl));
+            precached += urls.length;
+        }
+        if (precached > 0) {
+            this.log(`📦 ${precached} precached URLs in ${workerUrl}`);
+        }
+        
+        // The Angular service worker reads its asset list from ngsw.json next to it
+        if (/(^|\/)ngsw-worker\.js$/.test(new URL(workerUrl).pathname)) {
+            const ngswUrl = new URL('ngsw.json', workerUrl).href;
+            const ngswFile = await this.fetchPwaFile(ngswUrl);
+            try {
+                const urls = ngswFile ? findNgswUrls(JSON.parse(ngswFile.content)) : [];
+                this.addPwaAsset(ngswUrl, 'ngsw', workerUrl);
+                urls.forEach(url => this.addPwaAsset(url, 'ngsw', workerUrl));
+                this.log(`📦 ${urls.length} URLs in ${ngswUrl}`);
+            } catch (error) {
+                this.log(`⚠️ Invalid ngsw.json at ${ngswUrl}: ${error.message}`, 'warn');
+            }
+        }
+    }
+
+    // Text file that is either already downloaded or fetched now
+    async fetchPwaFile(url) {
+        const existing = this.getDownloadedFile(url);
+        if (existing) {
+            return typeof existing.content === 'string' ? existing : null;
+        }
+        try {
+            const fileData = await this.enqueueDownload(url, () => this.downloadSingleResourceWithReturn(url));
+            return fileData && typeof fileData.content === 'string' ? fileData : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getDownloadedFile(url) {
+        const archivePath = this.archivePaths.get(this.normalizeUrl(url));
+        return archivePath ? this.downloadedFiles.get(archivePath) || null : null;
+    }
+
+    addPwaAsset(rawUrl, source, baseUrl) {
+        try {
+            const url = this.normalizeUrl(new URL(rawUrl, baseUrl).href);
+            if (!url.startsWith('http') || this.pwaAssets.has(url)) return;
+            this.pwaAssets.set(url, { source, from: baseUrl });
+        } catch (error) {
+            // Not a resolvable URL
+        }
+    }
+
+    async downloadPwaAssets() {
+        const pending = Array.from(this.pwaAssets).filter(([url]) => !this.getDownloadedFile(url));
+        let downloaded = 0;
+        
+        const results = await Promise.all(pending.map(([url, { source }]) => this.enqueueDownload(url, async () => {
+            try {
+                const fileData = await this.downloadSingleResourceWithReturn(url);
+                if (fileData) {
+                    fileData.discoveredBy = source;
+                    downloaded++;
+                }
+                return fileData;
+            } catch (error) {
+                this.log(`⚠️ PWA asset failed: ${url}`, 'warn');
+                return null;
+            }
+        })));
+        
+        // Precached stylesheets bring their own imports, fonts and images
+        const cssAssets = new Set(results
+            .filter(fileData => fileData?.type === 'stylesheet' && typeof fileData.content === 'string')
+            .flatMap(fileData => Array.from(this.extractUrlsFromCss(fileData.content, this.getBaseUrl(fileData.url)))));
+        if (cssAssets.size > 0) {
+            await this.downloadStaticResources(Array.from(cssAssets), 73, 73);
+        }
+        
+        // Files that were already downloaded for other reasons belong to the group too
+        for (const [url, { source }] of this.pwaAssets) {
+            const file = this.getDownloadedFile(url);
+            if (file) {
+                file.pwaSource = source;
+                this.emit('file', { filename: this.archivePaths.get(this.normalizeUrl(url)), fileData: file });
+            }
+        }
+        
+        this.log(`📱 ${this.pwaAssets.size} PWA assets found, ${downloaded} newly downloaded`);
+    }
+
+    // =====================================
+    // PHASE 4: SOURCE MAP PROCESSING
+    // =====================================
+
+    async processSourceMaps() {
+        const jsFiles = this.getJavaScriptFiles();
+        const cssFiles = this.getStylesheetFiles();
+        this.log(`Found ${jsFiles.length} JavaScript and ${cssFiles.length} CSS files to process`);
+        
+        let totalSourceFiles = 0;
+        
+        for (const { filename, file } of [...jsFiles, ...cssFiles]) {
+            if (!this.isDownloading) break;
+            
+            try {
+                let reference = this.findSourceMapReference(file);
+                if (reference) {
+                    this.log(`🗺️ Found source map for ${filename} (${reference.method}): ${this.describeSourceMapUrl(reference.url)}`);
+                } else if (this.options.guessSourceMaps && file.url) {
+                    reference = { url: this.guessSourceMapUrl(this.getBaseUrl(file.url)), method: 'guess' };
+                    this.log(`🔮 No source map reference in ${filename}, trying ${reference.url}`);
+                }
+                
+                if (reference) {
+                    const extractedCount = await this.processSourceMap(reference.url, filename, file, reference.method);
+                    totalSourceFiles += extractedCount;
+                    this.log(`✅ Extracted ${extractedCount} source files from ${filename}`);
+                } else {
+                    this.log(`ℹ️ No source map found for ${filename}`);
+                }
+                
+            } catch (error) {
+                this.log(`❌ Error processing ${filename}: ${error.message}`, 'error');
+            }
+        }
+        
+        this.log(`✅ Total source files extracted: ${totalSourceFiles}`);
+    }
+
+    // How a map is announced, in the order browsers honor them: SourceMap header, then the comment
+    findSourceMapReference(file) {
+        const headerValue = file.headers?.['sourcemap'] || file.headers?.['x-sourcemap'];
+        if (headerValue) {
+            try {
+                return { url: new URL(headerValue.trim(), this.getBaseUrl(file.url)).href, method: 'header' };
+            } catch (error) {
+                this.log(`⚠️ Invalid SourceMap header: ${headerValue}`, 'warn');
+            }
+        }
+        
+        const commentUrl = this.findSourceMapUrl(file);
+        if (commentUrl) {
+            return { url: commentUrl, method: commentUrl.startsWith('data:') ? 'inline' : 'comment' };
+        }
+        
+        return null;
+    }
+
+    // Production builds often strip the comment but still serve `<file>.map`
+    guessSourceMapUrl(fileUrl) {
+        const url = new URL(fileUrl);
+        url.search = '';
+        url.hash = '';
+        return `${url.href}.map`;
+    }
+
+    getJavaScriptFiles() {
+        const jsFiles = [];
+        
+        for (const [filename, file] of this.downloadedFiles) {
+            if (this.isJavaScriptFile(filename, file)) {
+                jsFiles.push({ filename, file });
+            }
+        }
+        
+        return jsFiles;
+    }
+
+    // Stylesheets carry `/*# sourceMappingURL=... */` pointing at their SCSS/Less sources
+    getStylesheetFiles() {
+        const cssFiles = [];
+        
+        for (const [filename, file] of this.downloadedFiles) {
+            if (file.type === 'stylesheet' && file.url && typeof file.content === 'string') {
+                cssFiles.push({ filename, file });
+            }
+        }
+        
+        return cssFiles;
+    }
+
+    isJavaScriptFile(filename, file) {
+        return (
+            (filename.endsWith('.js') || 
+             file.type === 'script' || 
+             file.contentType?.includes('javascript')) &&
+            typeof file.content === 'string'
+        );
+    }
+
+    findSourceMapUrl(file) {
+        try {
+            this.log(`🔍 Searching for source map URL in file (${file.content.length} bytes)`, 'info');
+            
+            const mapMatch = file.content.match(/\/\/[@#]\s*sourceMappingURL=(.+)$/m) ||
+                             file.content.match(/\/\*[@#]\s*sourceMappingURL=([^\s*]+)\s*\*\//);
+            if (!mapMatch) {
+                this.log(`❌ No source map URL found in file`, 'warn');
+                return null;
+            }
+            
+            const mapPath = mapMatch[1].trim();
+            this.log(`📍 Found source map reference: ${mapPath}`, 'info');
+            
+            let fullUrl;
+            if (mapPath.startsWith('http')) {
+                fullUrl = mapPath;
+            } else {
+                fullUrl = new URL(mapPath, this.getBaseUrl(file.url)).href;
+            }
+            
+            this.log(`🌐 Full source map URL: ${this.describeSourceMapUrl(fullUrl)}`, 'info');
+            return fullUrl;
+            
+        } catch (error) {
+            this.log(`⚠️ Error finding source map URL: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    async processSourceMap(sourceMapUrl, jsFilename, jsFile, method = 'comment') {
+        try {
+            const isInline = sourceMapUrl.startsWith('data:');
+            let mapContent;
+            let mapFilename;
+            
+            if (isInline) {
+                // Inline maps are decoded locally and stored next to their script
+                mapContent = this.decodeDataUrl(sourceMapUrl);
+                mapFilename = `${jsFilename}.map`;
+                this.log(`✅ Inline source map decoded, size: ${mapContent.length} bytes`, 'info');
+            } else {
+                this.log(`🔄 Downloading source map: ${sourceMapUrl}`, 'info');
+                
+                // Download source map
+                const mapResponse = await this.fetchWithCORS(sourceMapUrl);
+                mapContent = await this.readResponseText(mapResponse);
+                
+                // A guessed URL may answer with an HTML fallback page instead of a 404
+                if (!this.isSourceMap(mapContent)) {
+                    throw new Error('response is not a source map');
+                }
+                mapFilename = this.generateFilename(sourceMapUrl, 'application/json');
+                
+                this.log(`✅ Source map downloaded, size: ${mapContent.length} bytes`, 'info');
+            }
+            
+            // Save source map file
+            this.saveFile(mapFilename, {
+                content: mapContent,
+                size: mapContent.length,
+                type: 'sourcemap',
+                url: isInline ? null : sourceMapUrl,
+                contentType: 'application/json',
+                foundBy: method,
+                ...(isInline && { inlineIn: jsFile.url })
+            });
+            this.sourceMapsFound.push({ file: jsFilename, map: mapFilename, method });
+            
+            this.log(`💾 Source map saved as: ${mapFilename}`, 'info');
+            
+            // Sources are relative to the map; an inline map has no URL of its own, so use its script's
+            const mapBaseUrl = isInline ? jsFile.url : sourceMapUrl;
+            const extractedCount = await this.extractSourceFilesFromMap(mapContent, jsFilename, mapBaseUrl);
+            
+            this.log(`📂 Extracted ${extractedCount} source files from source map`, 'info');
+            
+            return extractedCount;
+            
+        } catch (error) {
+            if (method === 'guess') {
+                this.log(`ℹ️ No source map at guessed URL ${sourceMapUrl}`);
+            } else {
+                this.log(`❌ Failed to process source map ${this.describeSourceMapUrl(sourceMapUrl)}: ${error.message}`, 'error');
+            }
+            return 0;
+        }
+    }
+
+    isSourceMap(content) {
+        try {
+            const parsed = JSON.parse(content);
+            return parsed !== null && typeof parsed === 'object' && 'version' in parsed &&
+                (Array.isArray(parsed.sources) || Array.isArray(parsed.sections));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async extractSourceFilesFromMap(mapContent, jsFilename, mapBaseUrl) {
+        try {
+            this.log(`🔍 Parsing source map for ${jsFilename}...`, 'info');
+            
+            const sourceMap = JSON.parse(mapContent);
+            
+            this.log(`📋 Source map parsed successfully`, 'info');
+            return await this.extractSourcesFromParsedMap(sourceMap, jsFilename, mapBaseUrl, 0);
+            
+        } catch (error) {
+            this.log(`❌ Failed to parse source map: ${error.message}`, 'error');
+            this.log(`❌ Error details: ${error.stack}`, 'error');
+            return 0;
+        }
+    }
+
+    async extractSourcesFromParsedMap(sourceMap, jsFilename, mapBaseUrl, depth) {
+        if (Array.isArray(sourceMap.sections)) {
+            return this.extractSourcesFromSections(sourceMap.sections, jsFilename, mapBaseUrl, depth);
+        }
+        
+        this.log(`   Sources: ${sourceMap.sources ? sourceMap.sources.length : 'undefined'}`, 'info');
+        this.log(`   SourcesContent: ${sourceMap.sourcesContent ? sourceMap.sourcesContent.length : 'undefined'}`, 'info');
+        
+        if (!Array.isArray(sourceMap.sources)) {
+            this.log(`⚠️ Source map missing sources`, 'warn');
+            return 0;
+        }
+        
+        this.log(`📂 Processing ${sourceMap.sources.length} sources from source map...`);
+        
+        let extractedCount = 0;
+        const missingContent = [];
+        
+        for (let i = 0; i < sourceMap.sources.length; i++) {
+            const sourcePath = sourceMap.sources[i];
+            const sourceContent = sourceMap.sourcesContent?.[i];
+            
+            if (typeof sourceContent !== 'string') {
+                if (sourcePath && !this.isSkippedSourcePath(sourcePath)) {
+                    missingContent.push(sourcePath);
+                }
+                continue;
+            }
+            
+            if (this.shouldExtractSource(sourcePath, sourceContent)) {
+                const sourceFilename = this.saveSourceFile(sourcePath, sourceContent, null, { sourceRoot: sourceMap.sourceRoot, mapBaseUrl });
+                extractedCount++;
+                
+                // Log first few extractions for debugging
+                if (extractedCount <= 5) {
+                    this.log(`   📄 Extracted: ${sourceFilename}`, 'info');
+                }
+            }
+        }
+        
+        if (missingContent.length > 0) {
+            this.log(`🌐 ${missingContent.length} sources have no embedded content, fetching them...`);
+            extractedCount += await this.fetchMissingSources(missingContent, sourceMap.sourceRoot, mapBaseUrl);
+        }
+        
+        this.log(`✅ Successfully extracted ${extractedCount} source files`, 'info');
+        return extractedCount;
+    }
+
+    // Index maps: every section either embeds a map or points at one through `url`
+    async extractSourcesFromSections(sections, jsFilename, mapBaseUrl, depth) {
+        if (depth >= 3) {
+            this.log(`⚠️ Source map sections nested too deeply in ${jsFilename}, skipping`, 'warn');
+            return 0;
+        }
+        
+        this.log(`📚 Index source map with ${sections.length} sections`, 'info');
+        let extractedCount = 0;
+        
+        for (let i = 0; i < sections.length; i++) {
+            const section = sections[i];
+            try {
+                if (section.map && typeof section.map === 'object') {
+                    extractedCount += await this.extractSourcesFromParsedMap(section.map, jsFilename, mapBaseUrl, depth + 1);
+                } else if (typeof section.url === 'string') {
+                    extractedCount += await this.processSectionMapUrl(section.url, jsFilename, mapBaseUrl, depth + 1);
+                } else {
+                    this.log(`⚠️ Section ${i} has neither map nor url`, 'warn');
+                }
+            } catch (error) {
+                this.log(`❌ Failed to process section ${i} of ${jsFilename}: ${error.message}`, 'warn');
+            }
+        }
+        
+        return extractedCount;
+    }
+
+    async processSectionMapUrl(sectionUrl, jsFilename, mapBaseUrl, depth) {
+        const mapUrl = new URL(sectionUrl, mapBaseUrl).href;
+        let mapContent;
+        
+        if (mapUrl.startsWith('data:')) {
+            mapContent = this.decodeDataUrl(mapUrl);
+        } else {
+            this.log(`🔄 Downloading section source map: ${mapUrl}`, 'info');
+            const response = await this.fetchWithCORS(mapUrl);
+            mapContent = await this.readResponseText(response);
+            
+            if (!this.isSourceMap(mapContent)) {
+                throw new Error(`${mapUrl} is not a source map`);
+            }
+            
+            const mapFilename = this.generateFilename(mapUrl, 'application/json');
+            this.saveFile(mapFilename, {
+                content: mapContent,
+                size: mapContent.length,
+                type: 'sourcemap',
+                url: mapUrl,
+                contentType: 'application/json',
+                foundBy: 'section'
+            });
+            this.sourceMapsFound.push({ file: jsFilename, map: mapFilename, method: 'section' });
+        }
+        
+        return this.extractSourcesFromParsedMap(JSON.parse(mapContent), jsFilename, mapUrl.startsWith('data:') ? mapBaseUrl : mapUrl, depth);
+    }
+
+    async fetchMissingSources(sourcePaths, sourceRoot, mapBaseUrl) {
+        let fetchedCount = 0;
+        
+        await Promise.all(sourcePaths.map(sourcePath => {
+            const sourceUrl = this.resolveSourceUrl(sourcePath, sourceRoot, mapBaseUrl);
+            if (!sourceUrl) {
+                this.log(`   ⚠️ Cannot resolve source ${sourcePath} to a fetchable URL`, 'warn');
+                return null;
+            }
+            if (this.downloadedUrls.has(sourceUrl)) {
+                return null;
+            }
+            
+            return this.enqueueDownload(sourceUrl, async () => {
+                try {
+                    const response = await this.fetchWithCORS(sourceUrl);
+                    const content = await this.readResponseText(response);
+                    this.downloadedUrls.add(sourceUrl);
+                    const sourceFilename = this.saveSourceFile(sourcePath, content, sourceUrl, { sourceRoot, mapBaseUrl });
+                    fetchedCount++;
+                    this.log(`   📄 Fetched: ${sourceFilename}`, 'info');
+                } catch (error) {
+                    this.log(`   ⚠️ Source ${sourceUrl} unavailable: ${error.message}`, 'warn');
+                }
+            });
+        }));
+        
+        return fetchedCount;
+    }
+
+    // Per the source map spec: prefix with sourceRoot, then resolve against the map's URL
+    resolveSourceUrl(sourcePath, sourceRoot, mapBaseUrl) {
+        try {
+            let path = sourcePath;
+            if (sourceRoot) {
+                path = sourceRoot.endsWith('/') ? sourceRoot + sourcePath : `${sourceRoot}/${sourcePath}`;
+            }
+            const url = new URL(path, mapBaseUrl);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    saveSourceFile(sourcePath, content, url, { sourceRoot = null, mapBaseUrl = null } = {}) {
+        const sourceFilename = this.getSourceArchivePath(sourcePath, sourceRoot, mapBaseUrl);
+        this.saveFile(sourceFilename, {
+            content: content,
+            size: content.length,
+            type: 'source',
+            url: url,
+            originalPath: sourcePath
+        });
+        return sourceFilename;
+    }
+
+    shouldExtractSource(sourcePath, sourceContent) {
+        if (!sourceContent || !sourcePath) return false;
+        return !this.isSkippedSourcePath(sourcePath);
+    }
+
+    isSkippedSourcePath(sourcePath) {
+        // Skip webpack internals
+        const skipPatterns = [
+            'webpack/',
+            'node_modules/',
+            'webpack:///',
+            '(webpack)',
+            'webpack/bootstrap',
+            'webpack/runtime'
+        ];
+        
+        return skipPatterns.some(pattern => sourcePath.includes(pattern));
+    }
+
+    describeSourceMapUrl(sourceMapUrl) {
+        if (sourceMapUrl.startsWith('data:')) {
+            return `inline data: URL (${sourceMapUrl.length} chars)`;
+        }
+        return sourceMapUrl;
+    }
+
+    cleanSourcePath(sourcePath) {
+        return sourcePath
+            .replace(/^\//, '')
+            .replace(/^webpack:\/\/[^/]*\//, '')
+            .replace(/^webpack:\/\//, '')
+            .replace(/^\.\//, '')
+            .replace(/\?.*$/, '')
+            .replace(/[<>:"|?*]/g, '_');
+    }
+
+    // Archive path under src/. A path that climbs out of its own root (`../lib/x.js`, common
+    // in maps of fetched sources) is resolved against the map's URL and sourceRoot instead,
+    // which keeps `../lib/x.js` and `../../lib/x.js` apart and never leaves src/
+    getSourceArchivePath(sourcePath, sourceRoot, mapBaseUrl) {
+        const cleaned = this.cleanSourcePath(sourcePath);
+        const segments = [];
+        for (const segment of cleaned.split('/')) {
+            if (!segment || segment === '.') continue;
+            if (segment !== '..') {
+                segments.push(segment);
+            } else if (segments.length > 0) {
+                segments.pop();
+            } else {
+                return `src/${this.resolveEscapingSourcePath(cleaned, sourceRoot, mapBaseUrl)}`;
+            }
+        }
+        return `src/${segments.join('/')}`;
+    }
+
+    // URL resolution stops at the host root, so the result is a plain path. Without a URL
+    // to resolve against, the segments above the root are dropped.
+    resolveEscapingSourcePath(path, sourceRoot, mapBaseUrl) {
+        const url = mapBaseUrl && this.resolveSourceUrl(path, sourceRoot, mapBaseUrl);
+        const resolved = url ? new URL(url).pathname : new URL(path, 'http://source.invalid/').pathname;
+        return resolved
+            .split('/')
+            .filter(Boolean)
+            .map(segment => {
+                try {
+                    return decodeURIComponent(segment).replace(/[<>:"|?*/\\]/g, '_');
+                } catch (error) {
+                    return segment;
+                }
+            })
+            .join('/');
+    }
+
+    // =====================================
+    // PHASE 5: DYNAMIC RESOURCE DISCOVERY
+    // =====================================
+
+    async findDynamicResources() {
+        const endpoints = this.extractEndpointsFromCode();
+        this.log(`🔍 Found ${endpoints.size} potential dynamic endpoints`);
+        
+        let downloadedCount = 0;
+        let completed = 0;
+        
+        await Promise.all(Array.from(endpoints, endpoint => this.enqueueDownload(endpoint, async () => {
+            try {
+                const fileData = await this.downloadSingleResourceWithReturn(endpoint);
+                if (fileData) {
+                    // Found as a string in the code, not seen being requested (compare Phase 5b)
+                    fileData.discoveredBy = 'guessed';
+                    downloadedCount++;
+                    this.log(`✅ Downloaded dynamic resource: ${endpoint}`);
+                }
+            } catch (error) {
+                // Many endpoints might fail, that's expected
+                this.log(`⚠️ Dynamic endpoint failed: ${endpoint}`, 'warn');
+            } finally {
+                completed++;
+                this.updateProgress(85 + (completed / endpoints.size) * 5);
+            }
+        })));
+        
+        this.log(`📡 Downloaded ${downloadedCount} dynamic resources`);
+    }
+
+    extractEndpointsFromCode() {
+        const endpoints = new Set();
+        const baseUrl = this.downloadedFiles.get(this.mainPagePath)?.url;
+        
+        if (!baseUrl) return endpoints;
+        
+        for (const [filename, file] of this.downloadedFiles) {
+            if (file.type === 'script' && typeof file.content === 'string') {
+                this.extractApiEndpoints(file.content, baseUrl, endpoints);
+                this.extractResourceUrls(file.content, endpoints);
+            }
+        }
+        
+        return endpoints;
+    }
+
+    extractApiEndpoints(content, baseUrl, endpoints) {
+        const apiMatches = content.match(/['"`]\/api\/[^'"`\s]+['"`]/g);
+        if (apiMatches) {
+            for (const match of apiMatches) {
+                try {
+                    const endpoint = match.slice(1, -1); // Remove quotes
+                    const fullUrl = new URL(endpoint, baseUrl).href;
+                    endpoints.add(fullUrl);
+                } catch (error) {
+                    // Invalid URL, skip
+                }
+            }
+        }
+    }
+
+    extractResourceUrls(content, endpoints) {
+        const urlMatches = content.match(/['"`]https?:\/\/[^'"`\s]+['"`]/g);
+        if (urlMatches) {
+            for (const match of urlMatches) {
+                try {
+                    const url = match.slice(1, -1); // Remove quotes
+                    if (!this.downloadedUrls.has(url)) {
+                        endpoints.add(url);
+                    }
+                } catch (error) {
+                    // Invalid URL, skip
+                }
+            }
+        }
+    }
+
+    // =====================================
+    // PHASE 5b: LIVE TRAFFIC
+    // =====================================
+
+    async captureLiveTraffic() {
+        if (!this.observeTraffic) {
+            this.log('⚠️ Live traffic needs a browser to run the page, skipped', 'warn');
+            return;
+        }
+        const mainPage = this.mainPagePath && this.downloadedFiles.get(this.mainPagePath);
+        if (!mainPage || typeof mainPage.content !== 'string') {
+            this.log('⚠️ No main page to run, live traffic skipped', 'warn');
+            return;
+        }
+        // The page's own scripts run in the frame and can read the token its requests carry
+        if (this.proxyUrl && this.proxyToken && !this.observerProxyToken) {
+            this.log('⚠️ The proxy needs a token and no observer token is set, live traffic skipped', 'warn');
+            return;
+        }
+        
+        this.observerAbort = new AbortController();
+        try {
+            this.observedRequests = await this.observeTraffic({
+                html: mainPage.content,
+                pageUrl: this.getBaseUrl(mainPage.url),
+                proxyUrl: this.proxyUrl,
+                proxyToken: this.observerProxyToken,
+                durationMs: this.options.liveTrafficSeconds * 1000,
+                signal: this.observerAbort.signal
+            });
+        } catch (error) {
+            this.log(`⚠️ Live traffic recording failed: ${error.message}`, 'warn');
+            return;
+        } finally {
+            this.observerAbort = null;
+        }
+        this.log(`👀 The page made ${this.observedRequests.length} requests while it ran`);
+        
+        await this.downloadObservedRequests();
+    }
+
+    isReplayableRequest({ url, kind, method }) {
+        return /^https?:/.test(url) && kind !== 'websocket' && method === 'GET';
+    }
+
+    // GETs are fetched again through the proxy and stored; other methods and WebSockets are only
+    // listed in the manifest, since replaying them could change something on the server
+    async downloadObservedRequests() {
+        const kindsByUrl = new Map();
+        for (const request of this.observedRequests) {
+            if (!this.isReplayableRequest(request)) continue;
+            const { url, kind } = request;
+            const key = this.normalizeUrl(url);
+            if (!kindsByUrl.has(key)) kindsByUrl.set(key, new Set());
+            kindsByUrl.get(key).add(kind);
+        }
+        
+        let downloaded = 0;
+        let completed = 0;
+        await Promise.all(Array.from(kindsByUrl, ([url, kinds]) => {
+            const markObserved = fileData => {
+                fileData.observedBy = Array.from(new Set([...(fileData.observedBy || []), ...kinds]));
+            };
+            const existing = this.getDownloadedFile(url);
+            if (existing) {
+                markObserved(existing);
+                return null;
+            }
+            return this.enqueueDownload(url, async () => {
+                try {
+                    const fileData = await this.downloadSingleResourceWithReturn(url);
+                    if (fileData) {
+                        fileData.discoveredBy = 'observed';
+                        markObserved(fileData);
+                        downloaded++;
+                        this.log(`✅ Downloaded observed request (${Array.from(kinds).join(', ')}): ${url}`);
+                    }
+                } catch (error) {
+                    this.log(`⚠️ Observed request failed: ${url}`, 'warn');
+                } finally {
+                    completed++;
+                    this.updateProgress(90 + (completed / kindsByUrl.size) * 5);
+                }
+            });
+        }));
+        
+        this.log(`📡 Downloaded ${downloaded} resources only seen in live traffic`);
+    }
+
+    // =====================================
+    // NETWORK & CORS HANDLING
+    // =====================================
+
+    // Large binaries are fetched in ranges (fetchRanged()), everything else in one request
+    async fetchWithCORS(url) {
+        if (isRangeCandidate(url)) {
+            return this.fetchRanged(url);
+        }
+        return this.fetchWithRetries(url);
+    }
+
+    // `headers` are added to this request only (Range, If-Range). A range requested again after
+    // its body was cut off continues the attempt count at `firstAttempt`.
+    async fetchWithRetries(url, headers = {}, firstAttempt = 1) {
+        this.log(`Attempting to fetch: ${url}${headers.Range ? ` (${headers.Range})` : ''}`, 'info');
+        
+        // A URL can be fetched more than once (e.g. a source map), keep all of its attempts
+        if (!this.fetchAttempts.has(url)) {
+            this.fetchAttempts.set(url, []);
+        }
+        const attempts = this.fetchAttempts.get(url);
+        
+        for (let attempt = firstAttempt; ; attempt++) {
+            const startedAt = Date.now();
+            let response = null;
+            let error = null;
+            
+            try {
+                response = await this.fetchThroughProxy(url, headers);
+            } catch (e) {
+                error = e;
+            }
+            
+            const record = {
+                attempt,
+                startedAt: new Date(startedAt).toISOString(),
+                durationMs: Date.now() - startedAt,
+                status: response ? response.status : null,
+                error: error ? (error.name === 'AbortError' ? 'timeout' : error.message) : null
+            };
+            // Each range of a file is its own request, not another attempt at the file
+            if (headers.Range) {
+                record.range = headers.Range;
+            }
+            attempts.push(record);
+            this.recordRequest(url, record, response, headers);
+            
+            if (response && response.ok) {
+                this.log(`Fetch successful${attempt > 1 ? ` after ${attempt} attempts` : ''}`, 'info');
+                this.recordRedirect(url, response);
+                return response;
+            }
+            
+            const proxyError = response ? await this.readProxyError(response) : null;
+            if (proxyError) {
+                record.proxyError = proxyError.code;
+            }
+            const failure = response
+                ? `status ${response.status}${proxyError ? ` ${proxyError.code}: ${proxyError.message}` : ''}`
+                : record.error;
+            const decision = getRetryDecision({ attempt, response, error, policy: this.retryPolicy });
+            
+            if (!decision.retry || !this.isDownloading) {
+                this.log(`Fetch failed: ${failure} (${decision.reason})`, 'error');
+                throw Object.assign(new Error(`Fetch failed for ${url}: ${failure}`), { status: response ? response.status : null });
+            }
+            
+            record.retryDelayMs = decision.delayMs;
+            this.log(`↻ Retrying ${url} in ${(decision.delayMs / 1000).toFixed(1)}s (attempt ${attempt} failed: ${decision.reason})`, 'warn');
+            await new Promise(resolve => setTimeout(resolve, decision.delayMs));
+        }
+    }
+
+    // Single attempt, through the CORS proxy unless the engine fetches directly; non-OK responses are returned, not thrown
+    async fetchThroughProxy(url, headers = {}) {
+        const requestUrl = this.getProxyUrl(url);
+        
+        this.log(this.proxyUrl ? `Using CORS proxy: ${requestUrl}` : `Fetching directly: ${url}`, 'info');
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.options.timeoutSeconds * 1000);
+        try {
+            return await this.fetchImpl(requestUrl, {
+                signal: controller.signal,
+                headers: { ...this.getProxyRequestHeaders(), ...headers }
+            });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // The proxy explains its own refusals (blocked target, too large, ...) as JSON { error, code };
+    // upstream statuses are passed through and need no explanation
+    async readProxyError(response) {
+        if (!this.proxyUrl || !(response.headers.get('content-type') || '').includes('application/json')) {
+            return null;
+        }
+        try {
+            const { error, code } = await response.clone().json();
+            return code && code !== 'UPSTREAM_STATUS' ? { code, message: error } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The URL actually requested: the proxy endpoint, or the resource itself when fetching directly
+    getProxyUrl(url) {
+        return this.proxyUrl ? `${this.proxyUrl}?url=${encodeURIComponent(url)}` : url;
+    }
+
+    getProxyRequestHeaders() {
+        const headers = {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        };
+        // The proxy only serves requests that look like they came from a page
+        if (this.proxyUrl) {
+            headers['x-requested-with'] = 'XMLHttpRequest';
+            if (this.origin) {
+                headers.origin = this.origin;
+            }
+            if (this.proxyToken) {
+                headers.Authorization = `Bearer ${this.proxyToken}`;
+            }
+        }
+        return headers;
+    }
+
+    // =====================================
+    // RANGED DOWNLOADS
+    // =====================================
+    //
+    // Binaries are requested a range at a time (ranged-download.js), so a large file never
+    // depends on one long response through the proxy. A file larger than one range is kept in
+    // partialDownloads as its ranges arrive; each is announced as a `chunk` event so a saved
+    // run can continue it after a reload, with `bytes` events for its progress. A failed range
+    // is retried on its own, and a stopped run leaves the ranges it has for the next one.
+
+    async fetchRanged(url) {
+        const key = this.normalizeUrl(url);
+        let download = this.partialDownloads.get(key) || null;
+        if (download) {
+            this.log(`⏯️ Resuming ${url} at ${this.formatMegabytes(download.received)} of ${this.formatMegabytes(download.total)}`);
+        }
+        let nextAttempt = 1; // a cut-off range is retried within the same attempt budget
+        
+        for (;;) {
+            let response;
+            try {
+                response = await this.fetchWithRetries(url, this.getRangeHeaders(download), nextAttempt);
+            } catch (error) {
+                if (error.status !== 416) throw error;
+                // An empty file has no first range to ask for
+                if (!download) {
+                    return this.fetchWithRetries(url);
+                }
+                // Saved ranges that run past the end of the file as it is now
+                this.log(`↻ ${url} no longer matches its saved ranges, starting over`, 'warn');
+                this.partialDownloads.delete(key);
+                download = null;
+                continue;
+            }
+            // The server ignores ranges, or the file changed since the ranges we have: the whole file came
+            if (response.status !== 206) {
+                if (download) {
+                    this.log(`↻ ${url} changed since it was partly downloaded, fetched it again in full`, 'warn');
+                    this.partialDownloads.delete(key);
+                }
+                return response;
+            }
+            
+            const range = parseContentRange(response.headers.get('content-range'));
+            if (!range || range.total === null || range.start !== (download ? download.received : 0)) {
+                await response.body?.cancel();
+                throw new Error(`Unexpected Content-Range for ${url}: ${response.headers.get('content-range')}`);
+            }
+            if (!download) {
+                download = {
+                    url,
+                    total: range.total,
+                    validator: getRangeValidator(response.headers),
+                    headers: this.getResponseHeaders(response),
+                    chunks: [],
+                    received: 0
+                };
+            }
+            
+            let data;
+            try {
+                data = await this.readRangeBody(response, download, range);
+            } catch (error) {
+                // The connection dropped mid-range: ask for the same range again
+                const attempts = this.fetchAttempts.get(url);
+                nextAttempt = attempts[attempts.length - 1].attempt + 1;
+                if (nextAttempt > this.retryPolicy.maxAttempts || !this.isDownloading) {
+                    throw new Error(`Range ${range.start}-${range.end} of ${url} failed: ${error.message}`);
+                }
+                this.log(`↻ Range ${range.start}-${range.end} of ${url} was cut off (${error.message}), requesting it again`, 'warn');
+                continue;
+            }
+            nextAttempt = 1;
+            this.addRangeChunk(key, download, range.start, data);
+            
+            if (download.received >= download.total) break;
+            if (!this.isDownloading) {
+                throw new Error(`Stopped after ${this.formatMegabytes(download.received)} of ${this.formatMegabytes(download.total)}, resuming the run continues it`);
+            }
+        }
+        
+        this.partialDownloads.delete(key);
+        if (download.chunks.length > 1) {
+            this.log(`✅ ${url}: ${this.formatMegabytes(download.total)} in ${download.chunks.length} ranges`);
+        }
+        // Callers see the file as one ordinary response
+        const headers = { ...download.headers, 'content-length': String(download.total) };
+        delete headers['content-range'];
+        return new Response(concatChunks(download.chunks), { status: 200, headers });
+    }
+
+    getRangeHeaders(download) {
+        if (!download) {
+            return { Range: formatRange(0) };
+        }
+        const headers = { Range: formatRange(download.received) };
+        // Without a validator a changed file would be stitched together from two versions
+        if (download.validator) {
+            headers['If-Range'] = download.validator;
+        }
+        return headers;
+    }
+
+    // Reads the range as it streams in, for byte progress; a short body throws
+    async readRangeBody(response, download, range) {
+        const expected = range.end - range.start + 1;
+        const reader = response.body.getReader();
+        const parts = [];
+        let received = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            received += value.byteLength;
+            this.reportBytes(download, download.received + received);
+        }
+        if (received !== expected) {
+            throw new Error(`got ${received} of ${expected} bytes`);
+        }
+        const data = concatChunks(parts);
+        // A file larger than one range is assembled from them; keeping them in the request log
+        // too would hold every large file in memory twice
+        this.recordResponseBody(response, data, { keepBody: download.total <= RANGE_CHUNK_BYTES });
+        return data;
+    }
+
+    addRangeChunk(key, download, start, data) {
+        download.chunks.push(data);
+        download.received += data.byteLength;
+        // A file that fits in one range has nothing to resume
+        if (download.total <= RANGE_CHUNK_BYTES) return;
+        
+        this.partialDownloads.set(key, download);
+        if (download.validator) {
+            const { url, total, validator, headers } = download;
+            this.emit('chunk', { url, start, data, total, validator, headers });
+        }
+        this.reportBytes(download, download.received, true);
+    }
+
+    // At most a few times a second, and only for files larger than one range
+    reportBytes(download, received, force = false) {
+        if (download.total <= RANGE_CHUNK_BYTES) return;
+        const now = Date.now();
+        if (!force && now - (download.bytesReportedAt || 0) < 250) return;
+        download.bytesReportedAt = now;
+        this.emit('bytes', { url: download.url, received, total: download.total });
+    }
+
+    /**
+     * Ranges of large files saved by an earlier run: [{ url, total, validator, headers,
+     * chunks: [{ start, data }] }]. Only the part contiguous from byte 0 is kept.
+     */
+    restorePartials(partials = []) {
+        for (const { url, total, validator, headers, chunks } of partials) {
+            const download = { url, total, validator, headers, chunks: [], received: 0 };
+            for (const { start, data } of [...chunks].sort((a, b) => a.start - b.start)) {
+                if (start !== download.received) break;
+                download.chunks.push(data);
+                download.received += data.byteLength;
+            }
+            if (download.received > 0 && download.received < total) {
+                this.partialDownloads.set(this.normalizeUrl(url), download);
+            }
+        }
+    }
+
+    formatMegabytes(bytes) {
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    // =====================================
+    // REDIRECTS
+    // =====================================
+    //
+    // Relative URLs in a redirected response resolve against where it ended up, not against
+    // the URL that was asked for (`/docs` -> `/docs/` changes what `guide.html` means). The
+    // proxy follows redirects itself and reports the outcome in X-Final-URL and
+    // X-Redirect-Chain; a direct fetch only tells the final URL.
+
+    recordRedirect(url, response) {
+        let finalUrl = null;
+        let chain = [];
+        if (this.proxyUrl) {
+            finalUrl = response.headers.get('x-final-url');
+            try {
+                chain = JSON.parse(response.headers.get('x-redirect-chain') || '[]');
+            } catch (error) {
+                chain = [];
+            }
+        } else if (response.redirected) {
+            finalUrl = response.url;
+        }
+        
+        const key = this.normalizeUrl(url);
+        if (!finalUrl || this.normalizeUrl(finalUrl) === key) return;
+        this.redirects.set(key, { finalUrl, chain });
+        this.log(`↪️ ${url} redirected to ${finalUrl}`, 'info');
+    }
+
+    // The URL to resolve a fetched file's relative references against
+    getBaseUrl(url) {
+        return this.redirects.get(this.normalizeUrl(url))?.finalUrl || url;
+    }
+
+    // Saved with the file so a restored run resolves it the same way
+    addRedirect(fileData) {
+        const redirect = this.redirects.get(this.normalizeUrl(fileData.url));
+        if (redirect) {
+            fileData.redirect = redirect;
+        }
+        return fileData;
+    }
+
+    // The redirect target is the same file: references to it map to the same archive path
+    // and it isn't downloaded again
+    registerRedirectTarget(url, filename) {
+        const redirect = this.redirects.get(this.normalizeUrl(url));
+        if (!redirect) return;
+        const finalKey = this.normalizeUrl(redirect.finalUrl);
+        if (!this.archivePaths.has(finalKey)) {
+            this.archivePaths.set(finalKey, filename);
+            this.downloadedUrls.add(finalKey);
+        }
+    }
+
+    isCrossHostRedirect(url, { finalUrl }) {
+        try {
+            return new URL(url).host !== new URL(finalUrl).host;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // =====================================
+    // REQUEST LOG (HAR EXPORT)
+    // =====================================
+    //
+    // fetchWithCORS() records every attempt, failed ones included. The body is only known
+    // once a caller reads it, so readers go through getResponseContent()/readResponseText(),
+    // which attach it to the attempt's record.
+
+    // The proxy token must not end up in exported HAR files
+    getLoggedRequestHeaders() {
+        const headers = this.getProxyRequestHeaders();
+        if (headers.Authorization) {
+            headers.Authorization = 'Bearer [redacted]';
+        }
+        return headers;
+    }
+
+    recordRequest(url, attempt, response, headers = {}) {
+        const responseHeaders = response ? this.getResponseHeaders(response) : {};
+        const contentLength = parseInt(responseHeaders['content-length'], 10);
+        const record = {
+            url,
+            attempt: attempt.attempt,
+            startedAt: attempt.startedAt,
+            durationMs: attempt.durationMs,
+            receiveMs: 0,
+            status: attempt.status,
+            statusText: response?.statusText || '',
+            error: attempt.error,
+            proxyUrl: this.proxyUrl ? this.getProxyUrl(url) : null,
+            requestHeaders: { ...this.getLoggedRequestHeaders(), ...headers },
+            responseHeaders,
+            contentType: responseHeaders['content-type'] || null,
+            size: Number.isFinite(contentLength) ? contentLength : null,
+            body: null
+        };
+        this.requestLog.push(record);
+        if (response) {
+            this.responseRecords.set(response, { record, headersAt: Date.now() });
+        }
+    }
+
+    recordResponseBody(response, content, { keepBody = true } = {}) {
+        const entry = this.responseRecords.get(response);
+        if (!entry) return;
+        
+        entry.record.body = keepBody ? content : null;
+        entry.record.size = this.getContentSize(content);
+        entry.record.receiveMs = Date.now() - entry.headersAt;
+        this.responseRecords.delete(response);
+    }
+
+    async readResponseText(response) {
+        const text = await response.text();
+        this.recordResponseBody(response, text);
+        return text;
+    }
+
+    // HAR 1.2 document of every recorded attempt
+    buildHarLog(includeBodies = false) {
+        return buildHar({
+            pageUrl: this.targetUrl,
+            startedAt: this.startTime,
+            records: this.requestLog,
+            includeBodies
+        });
+    }
+
+    // =====================================
+    // FILE MANAGEMENT
+    // =====================================
+
+    saveFile(filename, fileData) {
+        // Replacing an entry (e.g. the same source path from two maps) must not count it twice
+        const previous = this.downloadedFiles.get(filename);
+        if (previous) {
+            this.updateStats(filename, previous, -1);
+        }
+        
+        this.downloadedFiles.set(filename, fileData);
+        this.updateStats(filename, fileData, 1);
+        this.emit('file', { filename, fileData });
+    }
+
+    updateStats(filename, fileData, delta) {
+        this.stats.totalFiles += delta;
+        this.stats.totalSize += delta * fileData.size;
+        
+        if (fileData.type === 'source') {
+            this.stats.sourceFiles += delta;
+        } else if (filename.endsWith('.js')) {
+            this.stats.jsFiles += delta;
+        } else if (filename.endsWith('.css')) {
+            this.stats.cssFiles += delta;
+        } else if (fileData.type === 'image') {
+            this.stats.imageFiles += delta;
+        } else if (fileData.type === 'font') {
+            this.stats.fontFiles += delta;
+        }
+    }
+
+    // =====================================
+    // ARCHIVE LAYOUT
+    // =====================================
+    //
+    // Every fetched URL is stored at `<host>/<path>` so the archive mirrors the site:
+    //   - the host keeps a non-default port as `host_port`; each cross-origin host
+    //     gets its own top-level directory next to the target's
+    //   - paths ending in `/` are stored as `index.<ext>` inside that directory
+    //   - a missing extension is added from the content type, and HTML served under
+    //     another extension (`page.php`) gets `.html` appended so it opens offline
+    //   - a query string is kept as a short hash before the extension
+    //     (`app.js?v=2` -> `app_<hash>.js`) so every variant gets its own file
+    //   - if two URLs still end up on the same path, later ones get a `~2`, `~3`... suffix
+    // Source files recovered from source maps live under `src/` (they have no URL).
+
+    generateFilename(url, contentType) {
+        const key = this.normalizeUrl(url);
+        const existing = this.archivePaths.get(key);
+        if (existing) {
+            return existing;
+        }
+        
+        const archivePath = this.reserveArchivePath(this.buildArchivePath(key, contentType), key);
+        this.archivePaths.set(key, archivePath);
+        return archivePath;
+    }
+
+    // The fragment never reaches the server, so `a.html` and `a.html#top` are one file
+    normalizeUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            urlObj.hash = '';
+            return urlObj.href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    getRelativeArchivePath(fromPath, toPath) {
+        const fromDirectories = fromPath.split('/').slice(0, -1);
+        const toParts = toPath.split('/');
+        
+        let common = 0;
+        while (common < fromDirectories.length && common < toParts.length - 1 &&
+               fromDirectories[common] === toParts[common]) {
+            common++;
+        }
+        
+        const upLevels = new Array(fromDirectories.length - common).fill('..');
+        return [...upLevels, ...toParts.slice(common).map(encodeURIComponent)].join('/');
+    }
+
+    buildArchivePath(url, contentType) {
+        try {
+            const urlObj = new URL(url);
+            const host = this.sanitizePathSegment(urlObj.host);
+            const segments = urlObj.pathname.split('/').slice(1);
+            
+            // Handle index documents (`/`, `/docs/`)
+            const lastSegment = segments.pop();
+            let filename = lastSegment ? this.sanitizePathSegment(this.decodePathSegment(lastSegment)) : 'index';
+            const directories = segments.map(segment => this.sanitizePathSegment(this.decodePathSegment(segment)));
+            
+            let dotIndex = filename.lastIndexOf('.');
+            if (dotIndex <= 0) {
+                filename += this.getExtensionFromContentType(contentType);
+            } else if (contentType.includes('html') && !/\.x?html?$/i.test(filename)) {
+                filename += '.html';
+            }
+            
+            // Keep query variants apart
+            if (urlObj.search.length > 1) {
+                dotIndex = filename.lastIndexOf('.');
+                filename = `${filename.slice(0, dotIndex)}_${this.hashString(urlObj.search)}${filename.slice(dotIndex)}`;
+            }
+            
+            return [host, ...directories, filename].join('/');
+            
+        } catch (e) {
+            return `misc/resource_${this.hashString(String(url))}.bin`;
+        }
+    }
+
+    reserveArchivePath(archivePath, url) {
+        const dotIndex = archivePath.lastIndexOf('.');
+        const hasExtension = dotIndex > archivePath.lastIndexOf('/');
+        const stem = hasExtension ? archivePath.slice(0, dotIndex) : archivePath;
+        const extension = hasExtension ? archivePath.slice(dotIndex) : '';
+        
+        let candidate = archivePath;
+        let counter = 2;
+        // Compare case-insensitively so the archive also extracts cleanly on Windows/macOS
+        const isTaken = path => this.archivePathOwners.has(path.toLowerCase()) &&
+            this.archivePathOwners.get(path.toLowerCase()) !== url;
+        while (isTaken(candidate)) {
+            candidate = `${stem}~${counter++}${extension}`;
+        }
+        
+        if (candidate !== archivePath) {
+            this.log(`⚠️ Archive path ${archivePath} already used, storing ${url} as ${candidate}`, 'warn');
+        }
+        
+        this.archivePathOwners.set(candidate.toLowerCase(), url);
+        return candidate;
+    }
+
+    decodePathSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            return segment;
+        }
+    }
+
+    sanitizePathSegment(segment) {
+        if (!segment || segment === '.' || segment === '..') {
+            return '_';
+        }
+        return segment
+            .replace(/[<>:"|?*\\\/\x00-\x1f]/g, '_')
+            .substring(0, 120);
+    }
+
+    // FNV-1a, enough to tell query variants apart in file names
+    hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    clearArchivePaths() {
+        this.archivePaths.clear();
+        this.archivePathOwners.clear();
+    }
+
+    buildManifest(unresolved = []) {
+        const files = {};
+        
+        for (const [filename, file] of this.downloadedFiles) {
+            files[filename] = {
+                url: file.url,
+                contentType: file.contentType || null,
+                type: file.type,
+                size: file.size,
+                attempts: this.fetchAttempts.has(file.url) ? this.countAttempts(this.fetchAttempts.get(file.url)) : null
+            };
+            if (file.originalPath) {
+                files[filename].originalPath = file.originalPath;
+            }
+            if (file.foundBy) {
+                files[filename].foundBy = file.foundBy;
+            }
+            if (file.discoveredBy) {
+                files[filename].discoveredBy = file.discoveredBy;
+            }
+            if (file.pwaSource) {
+                files[filename].pwaSource = file.pwaSource;
+            }
+            if (file.observedBy) {
+                files[filename].observedBy = file.observedBy;
+            }
+            if (file.redirect) {
+                files[filename].redirect = file.redirect;
+            }
+            if (this.resourceReferences.has(file.url)) {
+                files[filename].referencedBy = this.resourceReferences.get(file.url);
+            }
+        }
+        
+        return {
+            targetUrl: this.targetUrl,
+            mainPage: this.mainPagePath,
+            generatedAt: new Date().toISOString(),
+            files,
+            options: this.options,
+            sourceMaps: this.sourceMapsFound,
+            observedRequests: this.observedRequests,
+            redirects: Object.fromEntries(this.redirects),
+            unresolved,
+            requests: Object.fromEntries(this.fetchAttempts)
+        };
+    }
+
+    // =====================================
+    // OFFLINE EXPORT (LINK REWRITING)
+    // =====================================
+    //
+    // At export time the saved HTML and CSS are rewritten so that every reference to a
+    // downloaded URL becomes a relative path inside the archive. References to anything
+    // that was not downloaded keep pointing at the live site (relative ones are made
+    // absolute so they don't resolve to file://) and are listed in the manifest.
+    // The stored originals in downloadedFiles are never modified.
+
+    buildOfflineFiles() {
+        const rewritten = new Map();
+        const unresolved = [];
+        
+        for (const [filename, file] of this.downloadedFiles) {
+            if (typeof file.content !== 'string' || !file.url) continue;
+            
+            try {
+                if (file.type === 'html') {
+                    rewritten.set(filename, this.rewriteHtmlLinks(file.content, this.getBaseUrl(file.url), filename, unresolved));
+                } else if (file.type === 'stylesheet') {
+                    rewritten.set(filename, this.rewriteCssLinks(file.content, this.getBaseUrl(file.url), filename, unresolved));
+                }
+            } catch (error) {
+                this.log(`⚠️ Could not rewrite links in ${filename}: ${error.message}`, 'warn');
+            }
+        }
+        
+        const seen = new Set();
+        const uniqueUnresolved = unresolved.filter(({ file, url }) => {
+            const key = `${file} ${url}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        
+        return { rewritten, unresolved: uniqueUnresolved };
+    }
+
+    rewriteHtmlLinks(html, pageUrl, filename, unresolved) {
+        const doc = this.parseHtml(html);
+        
+        // <base> would send every relative path back to the live site, so resolve against it and drop it
+        let base = pageUrl;
+        const baseElement = doc.querySelector('base[href]');
+        if (baseElement) {
+            try {
+                base = new URL(baseElement.getAttribute('href'), pageUrl).href;
+            } catch (e) {}
+            baseElement.remove();
+        }
+        
+        const resolve = rawUrl => this.resolveOfflineUrl(rawUrl, base, filename, unresolved);
+        
+        doc.querySelectorAll('[src], [href], [poster], object[data], svg use, svg image').forEach(element => {
+            let changed = false;
+            for (const attribute of ['src', 'href', 'poster', 'data', 'xlink:href']) {
+                const value = element.getAttribute(attribute);
+                // `data` only names a resource on <object>
+                if (value === null || (attribute === 'data' && element.localName !== 'object')) continue;
+                const local = resolve(value);
+                if (local !== null) {
+                    element.setAttribute(attribute, local);
+                    changed = true;
+                }
+            }
+            if (changed) {
+                // Rewritten CSS no longer matches its hash, and file:// pages can't satisfy CORS
+                element.removeAttribute('integrity');
+                element.removeAttribute('crossorigin');
+            }
+        });
+        
+        doc.querySelectorAll('[srcset]').forEach(element => {
+            element.setAttribute('srcset', this.rewriteSrcset(element.getAttribute('srcset'), resolve));
+        });
+        
+        doc.querySelectorAll('style').forEach(style => {
+            style.textContent = this.rewriteCssLinks(style.textContent, base, filename, unresolved);
+        });
+        
+        doc.querySelectorAll('[style]').forEach(element => {
+            element.setAttribute('style', this.rewriteCssLinks(element.getAttribute('style'), base, filename, unresolved));
+        });
+        
+        const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>\n` : '';
+        return doctype + doc.documentElement.outerHTML;
+    }
+
+    // Same references as extractUrlsFromCss(): @import, url(), image-set() and @font-face src
+    rewriteCssLinks(css, baseUrl, filename, unresolved) {
+        const resolve = rawUrl => this.resolveOfflineUrl(rawUrl, baseUrl, filename, unresolved);
+        
+        return replaceCssReferences(css, reference => resolve(reference.url));
+    }
+
+    rewriteSrcset(srcset, resolve) {
+        return this.parseSrcset(srcset)
+            .map(({ url, descriptor }) => {
+                const local = resolve(url);
+                return descriptor ? `${local ?? url} ${descriptor}` : (local ?? url);
+            })
+            .join(', ');
+    }
+
+    // Candidate URLs may contain commas (data: URLs), so split the way browsers do
+    parseSrcset(srcset) {
+        const candidates = [];
+        let position = 0;
+        
+        while (position < srcset.length) {
+            while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+            if (position >= srcset.length) break;
+            
+            let end = position;
+            while (end < srcset.length && !/\s/.test(srcset[end])) end++;
+            
+            let url = srcset.slice(position, end);
+            let descriptor = '';
+            if (url.endsWith(',')) {
+                url = url.replace(/,+$/, '');
+            } else {
+                const comma = srcset.indexOf(',', end);
+                const stop = comma === -1 ? srcset.length : comma;
+                descriptor = srcset.slice(end, stop).trim();
+                end = stop;
+            }
+            
+            candidates.push({ url, descriptor });
+            position = end + 1;
+        }
+        
+        return candidates;
+    }
+
+    // Returns the replacement for a reference, or null to leave it untouched
+    resolveOfflineUrl(rawUrl, baseUrl, filename, unresolved) {
+        const value = rawUrl.trim();
+        if (!value || value.startsWith('#') || /^(data|javascript|mailto|tel|blob|about):/i.test(value)) {
+            return null;
+        }
+        
+        let absolute;
+        try {
+            absolute = new URL(value, baseUrl);
+        } catch (e) {
+            return null;
+        }
+        if (absolute.protocol !== 'http:' && absolute.protocol !== 'https:') {
+            return null;
+        }
+        
+        const hash = absolute.hash;
+        const targetPath = this.archivePaths.get(this.normalizeUrl(absolute.href));
+        if (targetPath && this.downloadedFiles.has(targetPath)) {
+            return this.getRelativeArchivePath(filename, targetPath) + hash;
+        }
+        
+        unresolved.push({ file: filename, url: absolute.href });
+        return value === absolute.href ? null : absolute.href;
+    }
+
+    buildOfflineIndex() {
+        const target = this.mainPagePath.split('/').map(encodeURIComponent).join('/');
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="refresh" content="0; url=${target}">
+    <title>Offline copy of ${this.targetUrl}</title>
+</head>
+<body>
+    <a href="${target}">Open the offline copy</a>
+</body>
+</html>
+`;
+    }
+
+    // =====================================
+    // UTILITY METHODS
+    // =====================================
+
+    getResponseHeaders(response) {
+        const headers = {};
+        if (response.headers && typeof response.headers.forEach === 'function') {
+            response.headers.forEach((value, name) => {
+                headers[name.toLowerCase()] = value;
+            });
+        }
+        return headers;
+    }
+
+    getContentType(response) {
+        if (response.headers && response.headers.get) {
+            return response.headers.get('content-type') || 'application/octet-stream';
+        }
+        return 'application/octet-stream';
+    }
+
+    async getResponseContent(response, contentType, url = '') {
+        const content = await this.readResponseBody(response, contentType, url);
+        this.recordResponseBody(response, content);
+        return content;
+    }
+
+    async readResponseBody(response, contentType, url) {
+        // WebAssembly is often served as text/plain or octet-stream; decoding it as text would corrupt it
+        if (contentType.includes('wasm') || /\.wasm(\?|$)/i.test(url)) {
+            return await response.arrayBuffer();
+        }
+        
+        if (contentType.includes('text') || 
+            contentType.includes('javascript') || 
+            contentType.includes('json') || 
+            contentType.includes('css')) {
+            return await response.text();
+        } else {
+            try {
+                return await response.arrayBuffer();
+            } catch (e) {
+                return await response.text();
+            }
+        }
+    }
+
+    // data:[<mediatype>][;base64],<payload> -> text (UTF-8)
+    decodeDataUrl(dataUrl) {
+        const commaIndex = dataUrl.indexOf(',');
+        if (commaIndex === -1) {
+            throw new Error('Malformed data: URL');
+        }
+        
+        const header = dataUrl.slice(5, commaIndex);
+        const payload = dataUrl.slice(commaIndex + 1);
+        
+        if (/;base64$/i.test(header)) {
+            const binary = atob(decodeURIComponent(payload));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+        return decodeURIComponent(payload);
+    }
+
+    getContentSize(content) {
+        return content.length || content.byteLength || 0;
+    }
+
+    getExtensionFromContentType(contentType) {
+        const extensions = {
+            'text/html': '.html',
+            'text/css': '.css',
+            'application/javascript': '.js',
+            'text/javascript': '.js',
+            'application/json': '.json',
+            'application/wasm': '.wasm',
+            'image/png': '.png',
+            'image/jpeg': '.jpg',
+            'image/gif': '.gif',
+            'image/svg+xml': '.svg'
+        };
+        
+        for (const [mimeType, ext] of Object.entries(extensions)) {
+            if (contentType.includes(mimeType.split('/')[1])) {
+                return ext;
+            }
+        }
+        
+        return '.bin';
+    }
+
+    determineFileType(filename, contentType) {
+        if (contentType.includes('javascript')) return 'script';
+        if (contentType.includes('css')) return 'stylesheet';
+        if (contentType.includes('image')) return 'image';
+        if (contentType.includes('font')) return 'font';
+        if (contentType.includes('html')) return 'html';
+        
+        const ext = filename.split('.').pop().toLowerCase();
+        const typeMap = {
+            'js': 'script', 'jsx': 'script', 'ts': 'script', 'tsx': 'script',
+            'css': 'stylesheet', 'scss': 'stylesheet',
+            'png': 'image', 'jpg': 'image', 'jpeg': 'image', 'gif': 'image', 'svg': 'image',
+            'webp': 'image', 'avif': 'image', 'ico': 'image',
+            'woff': 'font', 'woff2': 'font', 'ttf': 'font', 'otf': 'font', 'eot': 'font',
+            'html': 'html', 'htm': 'html',
+            'map': 'sourcemap'
+        };
+        
+        return typeMap[ext] || 'other';
+    }
+
+    getFilenameFromUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            return urlObj.pathname.split('/').pop() || 'index';
+        } catch (e) {
+            return 'resource';
+        }
+    }
+
+    isValidUrl(string) {
+        try {
+            const url = new URL(string);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (_) {
+            return false;
+        }
+    }
+
+    resetStats() {
+        this.stats = {
+            totalFiles: 0,
+            sourceFiles: 0,
+            jsFiles: 0,
+            cssFiles: 0,
+            imageFiles: 0,
+            fontFiles: 0,
+            totalSize: 0
+        };
+    }
+
+    // =====================================
+    // REPORTING
+    // =====================================
+
+    generateFinalReport() {
+        this.log(`Final Statistics:`);
+        describeOptions(this.options).forEach(line => this.log(`   ${line}`));
+        this.log(`   Total Files: ${this.stats.totalFiles}`);
+        this.log(`   Total Size: ${(this.stats.totalSize / 1024 / 1024).toFixed(2)} MB`);
+        this.log(`   Source Files: ${this.stats.sourceFiles}`);
+        this.log(`   JavaScript Files: ${this.stats.jsFiles}`);
+        this.log(`   CSS Files: ${this.stats.cssFiles}`);
+        this.log(`   Image Files: ${this.stats.imageFiles}`);
+        this.log(`   Font Files: ${this.stats.fontFiles}`);
+        this.reportSourceMaps();
+        this.reportPwaAssets();
+        this.reportObservedRequests();
+        this.reportRedirects();
+        this.reportFetchAttempts();
+    }
+
+    reportSourceMaps() {
+        if (this.sourceMapsFound.length === 0) return;
+        
+        const byMethod = {};
+        this.sourceMapsFound.forEach(({ method }) => {
+            byMethod[method] = (byMethod[method] || 0) + 1;
+        });
+        const summary = Object.entries(byMethod).map(([method, count]) => `${count} via ${method}`).join(', ');
+        
+        this.log(`   Source Maps: ${this.sourceMapsFound.length} (${summary})`);
+        for (const { file, map, method } of this.sourceMapsFound) {
+            this.log(`   🗺️ ${file} → ${map} [${method}]`);
+        }
+    }
+
+    reportObservedRequests() {
+        if (this.observedRequests.length === 0) return;
+        
+        const byKind = {};
+        this.observedRequests.forEach(({ kind }) => {
+            byKind[kind] = (byKind[kind] || 0) + 1;
+        });
+        const summary = Object.entries(byKind).map(([kind, count]) => `${count} ${kind}`).join(', ');
+        
+        this.log(`   Observed Requests: ${this.observedRequests.length} (${summary})`);
+        for (const request of this.observedRequests) {
+            const { url, kind, method } = request;
+            const status = this.getDownloadedFile(url) ? '👀' : this.isReplayableRequest(request) ? '❌' : '⏭️';
+            this.log(`   ${status} ${method} ${url} [${kind}]`);
+        }
+    }
+
+    // Same-host redirects (trailing slashes, http -> https) are routine; other hosts are worth a look
+    reportRedirects() {
+        if (this.redirects.size === 0) return;
+        
+        const crossHost = Array.from(this.redirects).filter(([url, redirect]) => this.isCrossHostRedirect(url, redirect));
+        this.log(`   Redirects: ${this.redirects.size} (${crossHost.length} to another host)`);
+        for (const [url, { finalUrl, chain }] of crossHost) {
+            const statuses = chain.map(({ status }) => status).join(' → ');
+            this.log(`   ↪️ ${url} → ${finalUrl}${statuses ? ` [${statuses}]` : ''}`);
+        }
+    }
+
+    reportPwaAssets() {
+        if (this.pwaAssets.size === 0) return;
+        
+        const bySource = {};
+        this.pwaAssets.forEach(({ source }) => {
+            bySource[source] = (bySource[source] || 0) + 1;
+        });
+        const summary = Object.entries(bySource).map(([source, count]) => `${count} from ${source}`).join(', ');
+        
+        this.log(`   PWA Assets: ${this.pwaAssets.size} (${summary})`);
+        for (const [url, { source }] of this.pwaAssets) {
+            const status = this.getDownloadedFile(url) ? '📱' : '❌';
+            this.log(`   ${status} ${url} [${source}]`);
+        }
+    }
+
+    // The ranges of a file count as one request: only a range requested again is a retry
+    countAttempts(attempts) {
+        const ranged = attempts.filter(({ range }) => range);
+        const retriedRanges = ranged.filter(({ attempt }) => attempt > 1).length;
+        return attempts.length - ranged.length + (ranged.length > 0 ? 1 + retriedRanges : 0);
+    }
+
+    reportFetchAttempts() {
+        const retried = Array.from(this.fetchAttempts).filter(([, attempts]) => this.countAttempts(attempts) > 1);
+        const attemptCount = Array.from(this.fetchAttempts.values()).reduce((sum, attempts) => sum + this.countAttempts(attempts), 0);
+        
+        this.log(`   Requests: ${this.fetchAttempts.size} URLs, ${attemptCount} attempts, ${retried.length} retried`);
+        for (const [url, attempts] of retried) {
+            // Of a ranged file, only the ranges that were retried
+            const retriedRanges = new Set(attempts.filter(({ range, attempt }) => range && attempt > 1).map(({ range }) => range));
+            const outcomes = attempts
+                .filter(({ range }) => !range || retriedRanges.has(range))
+                .map(({ range, status, error }) => `${range ? `${range} ` : ''}${status ?? error}`)
+                .join(' → ');
+            this.log(`   ↻ ${url}: ${this.countAttempts(attempts)} attempts (${outcomes})`);
+        }
+    }
+
+    // =====================================
+    // EXPORTS (ZIP, WARC)
+    // =====================================
+
+    // Name the exports start with, e.g. example.com-advanced-resources.zip
+    getExportBaseName() {
+        return new URL(this.targetUrl).hostname;
+    }
+
+    // [archive path, content] for the ZIP: the offline entry page, the manifest, then every file
+    // with its links rewritten for offline browsing
+    buildArchiveEntries() {
+        const { rewritten, unresolved } = this.buildOfflineFiles();
+        
+        this.log(`🔗 Rewrote links in ${rewritten.size} HTML/CSS files for offline browsing`);
+        if (unresolved.length > 0) {
+            this.log(`⚠️ ${unresolved.length} references point at resources that were not downloaded (listed in deepfetch-manifest.json)`, 'warn');
+            unresolved.slice(0, 10).forEach(({ file, url }) => this.log(`   ${file} -> ${url}`, 'warn'));
+        }
+        
+        const entries = [];
+        if (this.mainPagePath) {
+            entries.push(['index.html', this.buildOfflineIndex()]);
+        }
+        // Maps every archive path back to the URL it was fetched from
+        entries.push(['deepfetch-manifest.json', JSON.stringify(this.buildManifest(unresolved), null, 2)]);
+        for (const [filename, file] of this.downloadedFiles) {
+            entries.push([filename, rewritten.has(filename) ? rewritten.get(filename) : file.content]);
+        }
+        return entries;
+    }
+
+    // Same stored files as the ZIP, but unmodified and with the HTTP response they came from.
+    // Resolves with { blob, filename, recordCount }
+    async buildWarcArchive() {
+        const compress = isGzipSupported();
+        if (!compress) {
+            this.log('⚠️ CompressionStream is not available, writing an uncompressed .warc', 'warn');
+        }
+        
+        // The last successful attempt per URL is the response that was stored; for a file
+        // fetched in ranges that is its last 206, so the record is written as the whole file
+        const fetched = new Map();
+        for (const record of this.requestLog) {
+            if (record.status >= 200 && record.status < 300) {
+                fetched.set(record.url, record);
+            }
+        }
+        
+        const responses = [];
+        for (const [, file] of this.downloadedFiles) {
+            const record = file.url && fetched.get(file.url);
+            if (!record) continue; // recovered from a source map, not fetched
+            const ranged = record.status === 206;
+            // Stored where the body came from, so replay resolves it against the right URL
+            const redirect = this.redirects.get(this.normalizeUrl(file.url));
+            responses.push({
+                url: redirect ? redirect.finalUrl : file.url,
+                redirect: redirect ? { from: file.url, chain: redirect.chain } : null,
+                date: this.toWarcDate(record.startedAt),
+                status: ranged ? 200 : record.status,
+                statusText: ranged ? 'OK' : record.statusText,
+                headers: ranged ? file.headers : record.responseHeaders,
+                content: file.content
+            });
+        }
+        
+        const filename = `${this.getExportBaseName()}-${this.toWarcDate(new Date(this.startTime).toISOString()).replace(/[-:]/g, '')}.warc${compress ? '.gz' : ''}`;
+        const blob = await buildWarc({
+            info: {
+                filename,
+                date: this.toWarcDate(new Date().toISOString()),
+                fields: {
+                    software: 'DeepFetch Web Resource Downloader 1.0.0',
+                    format: 'WARC File Format 1.1',
+                    conformsTo: 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+                    isPartOf: this.targetUrl,
+                    description: `Resources fetched ${this.proxyUrl ? 'through a CORS proxy' : 'directly'}; bodies are stored decoded`,
+                    'http-header-user-agent': this.getProxyRequestHeaders()['User-Agent'],
+                    'deepfetch-started': new Date(this.startTime).toISOString(),
+                    'deepfetch-proxy': this.proxyUrl,
+                    'deepfetch-options': JSON.stringify(this.options)
+                }
+            },
+            responses,
+            compress
+        });
+        
+        return { blob, filename, recordCount: responses.length };
+    }
+
+    // WARC 1.0 readers only accept second precision
+    toWarcDate(isoString) {
+        return isoString.replace(/\.\d+Z$/, 'Z');
+    }
+
+}
+
+export default CaptureEngine;
@@ -12,10 +12,19 @@ export const CORS_PROXY_CONFIG = {
         // Option 1: Use production Cloudflare Worker for local dev too (simplest)
         USE_PRODUCTION: true,
         
-        // Option 2: Run local proxy server (future enhancement)
+        // Option 2: Run the local proxy server (`npm run proxy`, proxy/node-server.js)
         LOCAL_SERVER_URL: 'http://localhost:3001/proxy',
         USE_LOCAL_SERVER: false
-    }
+    },
+    
+    // Bearer token for a proxy deployed with PROXY_TOKEN or PROXY_TOKEN_SECRET. It ships with
+    // the page, so pair it with PROXY_ALLOWED_ORIGINS; leave empty for an open proxy.
+    PROXY_TOKEN: '',
+
+    // Token for live traffic recording. The captured page runs with it and can read it, so
+    // use a short-lived signed token (`npm run proxy:token -- live-traffic --days 1`), never
+    // PROXY_TOKEN. Empty: live traffic is skipped while PROXY_TOKEN is set.
+    OBSERVER_PROXY_TOKEN: ''
 };
 
 /**
@@ -33,3 +42,11 @@ export function getCorsProxyUrl() {
     // Use production URL for both local dev and production
     return CORS_PROXY_CONFIG.PRODUCTION_URL;
 }
+
+export function getCorsProxyToken() {
+    return CORS_PROXY_CONFIG.PROXY_TOKEN || null;
+}
+
+export function getObserverProxyToken() {
+    return CORS_PROXY_CONFIG.OBSERVER_PROXY_TOKEN || null;
+}
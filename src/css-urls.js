@@ -0,0 +1,213 @@
+/**
+ * CSS reference scanner
+ * A small tokenizer that walks a stylesheet the way the CSS syntax does (comments, strings,
+ * escapes, url() tokens, blocks), so references are found in @import rules, url(),
+ * image-set() and @font-face src lists without being fooled by comments or strings.
+ */
+
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+
+function isNameChar(ch) {
+    return /[\w-]/.test(ch) || ch > '\x7f';
+}
+
+// Index after a comment starting at i
+function skipComment(css, i) {
+    const end = css.indexOf('*/', i + 2);
+    return end === -1 ? css.length : end + 2;
+}
+
+// Backslash escape starting at i -> { value, end }
+function readEscape(css, i) {
+    const hex = /^[0-9a-fA-F]{1,6}/.exec(css.slice(i + 1, i + 7));
+    if (hex) {
+        const codePoint = parseInt(hex[0], 16);
+        let end = i + 1 + hex[0].length;
+        if (/\s/.test(css[end] || '')) end++;
+        const valid = codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+        return { value: valid ? String.fromCodePoint(codePoint) : '�', end };
+    }
+    return { value: css[i + 1] || '', end: i + 2 };
+}
+
+// '...' or "..." starting at i -> { value, start, end } where start/end delimit the contents
+function readString(css, i) {
+    const quote = css[i];
+    let value = '';
+    let j = i + 1;
+    while (j < css.length && css[j] !== quote && css[j] !== '\n') {
+        if (css[j] === '\\') {
+            if (css[j + 1] === '\n') {
+                j += 2;
+                continue;
+            }
+            const escape = readEscape(css, j);
+            value += escape.value;
+            j = escape.end;
+        } else {
+            value += css[j++];
+        }
+    }
+    return { value, quote, start: i + 1, end: j, next: css[j] === quote ? j + 1 : j };
+}
+
+function readName(css, i) {
+    let name = '';
+    let j = i;
+    while (j < css.length) {
+        if (css[j] === '\\') {
+            const escape = readEscape(css, j);
+            name += escape.value;
+            j = escape.end;
+        } else if (isNameChar(css[j])) {
+            name += css[j++];
+        } else {
+            break;
+        }
+    }
+    return { name, end: j };
+}
+
+// Contents of url( ... ) starting right after the parenthesis
+function readUrl(css, i) {
+    let j = i;
+    while (/\s/.test(css[j] || '')) j++;
+
+    if (css[j] === '"' || css[j] === "'") {
+        const string = readString(css, j);
+        let close = string.next;
+        while (/\s/.test(css[close] || '')) close++;
+        return { value: string.value, quote: string.quote, start: string.start, end: string.end, next: css[close] === ')' ? close + 1 : close };
+    }
+
+    let value = '';
+    const start = j;
+    while (j < css.length && css[j] !== ')' && !/\s/.test(css[j])) {
+        if (css[j] === '\\') {
+            const escape = readEscape(css, j);
+            value += escape.value;
+            j = escape.end;
+        } else {
+            value += css[j++];
+        }
+    }
+    const end = j;
+    while (j < css.length && css[j] !== ')') j++;
+    return { value, quote: '', start, end, next: j + 1 };
+}
+
+/**
+ * Every URL a stylesheet (or a style="" declaration list) references, in source order:
+ *   [{ url, kind, quote, start, end }]
+ * kind: 'import' | 'font-face' | 'image-set' | 'url'
+ * start/end delimit the URL text in `css` (inside the quotes when it is quoted).
+ */
+export function findCssReferences(css) {
+    const references = [];
+    const functions = [];       // open function names, innermost last
+    let braceDepth = 0;
+    let fontFaceDepth = null;   // brace depth of the @font-face block we're in
+    let pendingAtRule = null;   // at-rule whose prelude we're reading
+    let importTarget = false;   // next url/string in an @import prelude is the imported sheet
+
+    const contextKind = () => {
+        if (importTarget) return 'import';
+        if (functions.some(name => IMAGE_SET_FUNCTIONS.includes(name))) return 'image-set';
+        if (fontFaceDepth !== null) return 'font-face';
+        return 'url';
+    };
+    const add = (token, kind) => {
+        if (token.value) {
+            references.push({ url: token.value.trim(), kind, quote: token.quote, start: token.start, end: token.end });
+        }
+    };
+
+    let i = 0;
+    while (i < css.length) {
+        const ch = css[i];
+
+        if (ch === '/' && css[i + 1] === '*') {
+            i = skipComment(css, i);
+        } else if (ch === '"' || ch === "'") {
+            const string = readString(css, i);
+            // Bare strings only name a resource as the @import target or an image-set() candidate
+            const inImageSet = IMAGE_SET_FUNCTIONS.includes(functions[functions.length - 1]);
+            if (importTarget || inImageSet) {
+                add(string, contextKind());
+                importTarget = false;
+            }
+            i = string.next;
+        } else if (ch === '@') {
+            const { name, end } = readName(css, i + 1);
+            pendingAtRule = name.toLowerCase();
+            importTarget = pendingAtRule === 'import';
+            i = end;
+        } else if (ch === '{') {
+            braceDepth++;
+            if (pendingAtRule === 'font-face') fontFaceDepth = braceDepth;
+            pendingAtRule = null;
+            importTarget = false;
+            i++;
+        } else if (ch === '}') {
+            if (fontFaceDepth === braceDepth) fontFaceDepth = null;
+            braceDepth = Math.max(0, braceDepth - 1);
+            functions.length = 0;
+            i++;
+        } else if (ch === ';') {
+            pendingAtRule = null;
+            importTarget = false;
+            i++;
+        } else if (ch === '(') {
+            functions.push('');
+            i++;
+        } else if (ch === ')') {
+            functions.pop();
+            i++;
+        } else if (ch === '\\' || isNameChar(ch)) {
+            const { name, end } = readName(css, i);
+            const functionName = name.toLowerCase();
+            if (css[end] === '(' && functionName === 'url') {
+                const url = readUrl(css, end + 1);
+                add(url, contextKind());
+                importTarget = false;
+                i = url.next;
+            } else if (css[end] === '(') {
+                functions.push(functionName);
+                i = end + 1;
+            } else {
+                i = Math.max(end, i + 1);
+            }
+        } else {
+            i++;
+        }
+    }
+
+    return references;
+}
+
+function quoteCssString(value, quote) {
+    const escaped = value.replace(/\\/g, '\\\\').replace(/\n/g, '\\a ');
+    return escaped.split(quote).join(`\\${quote}`);
+}
+
+/**
+ * Rewrite references in place. `replace(reference)` returns the new URL, or null to keep it.
+ */
+export function replaceCssReferences(css, replace) {
+    let output = '';
+    let position = 0;
+
+    for (const reference of findCssReferences(css)) {
+        const replacement = replace(reference);
+        if (replacement === null || replacement === undefined) continue;
+
+        // Unquoted url() can't hold spaces, quotes or parentheses, so the new value is always quoted
+        const text = reference.quote
+            ? quoteCssString(replacement, reference.quote)
+            : `"${quoteCssString(replacement, '"')}"`;
+        output += css.slice(position, reference.start) + text;
+        position = reference.end;
+    }
+
+    return output + css.slice(position);
+}
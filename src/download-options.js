@@ -0,0 +1,122 @@
+/**
+ * Download options model
+ * Every setting that changes what a run does lives here, so the run can be
+ * described, logged and recorded in the manifest from a single object.
+ */
+
+export const RESOURCE_TYPES = ['image', 'script', 'stylesheet', 'font', 'other'];
+
+export const DEFAULT_OPTIONS = {
+    phases: {
+        domResources: true,     // Phases 2-3: resources referenced by the HTML (and CSS)
+        bundleChunks: true,     // Phase 3b: lazy-loaded chunks named by webpack/Vite runtimes
+        moduleGraph: true,      // Phase 3c: ES module imports, workers and WebAssembly loaded by scripts
+        pwaAssets: true,        // Phase 3d: web app manifest and service worker precache lists
+        sourceMaps: true,       // Phase 4: source maps and original sources
+        dynamicResources: true, // Phase 5: XHR/API endpoints and URLs found in scripts
+        liveTraffic: false      // Phase 5b: requests the page makes when it runs in a sandboxed frame (browser only)
+    },
+    moduleGraphDepth: 3,        // Phase 3c: how many import hops to follow from the downloaded scripts
+    guessSourceMaps: false,     // Phase 4: try `<file>.map` when a script or stylesheet has no map reference
+    liveTrafficSeconds: 10,     // Phase 5b: how long the page runs while its requests are recorded
+    resourceTypes: {
+        image: true,
+        script: true,
+        stylesheet: true,
+        font: true,
+        other: true
+    },
+    timeoutSeconds: 120,
+    crawl: {
+        enabled: false,
+        maxDepth: 2,
+        maxPages: 20,
+        scope: 'origin'         // 'origin' | 'path'
+    },
+    queue: {
+        concurrency: 6,
+        perHostConcurrency: 4,
+        delayMs: 0
+    },
+    retry: {
+        maxAttempts: 4
+    },
+    persistRuns: true           // keep fetched files and pending URLs in IndexedDB
+};
+
+function clampNumber(value, fallback, min, max) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+function readBoolean(value, fallback) {
+    return typeof value === 'boolean' ? value : fallback;
+}
+
+/**
+ * Fill in defaults and clamp every value to its allowed range
+ */
+export function normalizeOptions(raw = {}) {
+    const defaults = DEFAULT_OPTIONS;
+    const phases = raw.phases || {};
+    const resourceTypes = raw.resourceTypes || {};
+    const crawl = raw.crawl || {};
+    const queue = raw.queue || {};
+    const retry = raw.retry || {};
+
+    return {
+        phases: {
+            domResources: readBoolean(phases.domResources, defaults.phases.domResources),
+            bundleChunks: readBoolean(phases.bundleChunks, defaults.phases.bundleChunks),
+            moduleGraph: readBoolean(phases.moduleGraph, defaults.phases.moduleGraph),
+            pwaAssets: readBoolean(phases.pwaAssets, defaults.phases.pwaAssets),
+            sourceMaps: readBoolean(phases.sourceMaps, defaults.phases.sourceMaps),
+            dynamicResources: readBoolean(phases.dynamicResources, defaults.phases.dynamicResources),
+            liveTraffic: readBoolean(phases.liveTraffic, defaults.phases.liveTraffic)
+        },
+        resourceTypes: Object.fromEntries(RESOURCE_TYPES.map(type => [
+            type, readBoolean(resourceTypes[type], defaults.resourceTypes[type])
+        ])),
+        moduleGraphDepth: clampNumber(raw.moduleGraphDepth, defaults.moduleGraphDepth, 1, 10),
+        guessSourceMaps: readBoolean(raw.guessSourceMaps, defaults.guessSourceMaps),
+        liveTrafficSeconds: clampNumber(raw.liveTrafficSeconds, defaults.liveTrafficSeconds, 1, 120),
+        timeoutSeconds: clampNumber(raw.timeoutSeconds, defaults.timeoutSeconds, 10, 600),
+        crawl: {
+            enabled: readBoolean(crawl.enabled, defaults.crawl.enabled),
+            maxDepth: clampNumber(crawl.maxDepth, defaults.crawl.maxDepth, 1, 10),
+            maxPages: clampNumber(crawl.maxPages, defaults.crawl.maxPages, 1, 1000),
+            scope: crawl.scope === 'path' ? 'path' : 'origin'
+        },
+        queue: {
+            concurrency: clampNumber(queue.concurrency, defaults.queue.concurrency, 1, 16),
+            perHostConcurrency: clampNumber(queue.perHostConcurrency, defaults.queue.perHostConcurrency, 1, 16),
+            delayMs: clampNumber(queue.delayMs, defaults.queue.delayMs, 0, 10000)
+        },
+        retry: {
+            maxAttempts: clampNumber(retry.maxAttempts, defaults.retry.maxAttempts, 1, 10)
+        },
+        persistRuns: readBoolean(raw.persistRuns, defaults.persistRuns)
+    };
+}
+
+/**
+ * Human-readable summary of the options, one line per group
+ */
+export function describeOptions(options) {
+    const onOff = flags => Object.entries(flags)
+        .map(([name, enabled]) => `${name} ${enabled ? 'on' : 'off'}`)
+        .join(', ');
+    const { crawl, queue } = options;
+
+    return [
+        `Phases: ${onOff(options.phases)}`,
+        `Resource types: ${onOff(options.resourceTypes)}`,
+        `Module graph depth: ${options.moduleGraphDepth}`,
+        `Guess source map URLs: ${options.guessSourceMaps ? 'on' : 'off'}`,
+        `Live traffic window: ${options.phases.liveTraffic ? `${options.liveTrafficSeconds}s` : 'off'}`,
+        `Crawl: ${crawl.enabled ? `depth ${crawl.maxDepth}, up to ${crawl.maxPages} pages, scope ${crawl.scope}` : 'off'}`,
+        `Download queue: ${queue.concurrency} parallel, ${queue.perHostConcurrency} per host, ${queue.delayMs}ms delay`,
+        `Requests: ${options.timeoutSeconds}s timeout, up to ${options.retry.maxAttempts} attempts`,
+        `Save run in browser storage: ${options.persistRuns ? 'on' : 'off'}`
+    ];
+}
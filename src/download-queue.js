@@ -0,0 +1,133 @@
+/**
+ * Shared download queue
+ * Runs download tasks with a global concurrency limit, a per-host concurrency limit
+ * and an optional politeness delay between requests to the same host.
+ */
+class DownloadQueue {
+    constructor({ concurrency = 6, perHostConcurrency = 4, delayMs = 0 } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.perHostConcurrency = Math.max(1, perHostConcurrency);
+        this.delayMs = Math.max(0, delayMs);
+
+        this.pending = [];
+        this.active = 0;
+        this.activePerHost = new Map();
+        this.lastStartPerHost = new Map();
+        this.timer = null;
+        this.idleResolvers = [];
+    }
+
+    /**
+     * Queue a task for the host of `url`. Resolves or rejects with the task's result.
+     */
+    add(url, task) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ host: this.getHost(url), task, resolve, reject });
+            this.pump();
+        });
+    }
+
+    /**
+     * Resolve once nothing is pending or running.
+     */
+    onIdle() {
+        if (this.isIdle()) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleResolvers.push(resolve));
+    }
+
+    /**
+     * Drop every task that has not started yet; their promises resolve with null.
+     */
+    clear() {
+        const dropped = this.pending.splice(0);
+        dropped.forEach(job => job.resolve(null));
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.checkIdle();
+    }
+
+    get size() {
+        return this.pending.length + this.active;
+    }
+
+    pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        let nextWakeUp = Infinity;
+        let index = 0;
+
+        while (index < this.pending.length && this.active < this.concurrency) {
+            const job = this.pending[index];
+
+            if ((this.activePerHost.get(job.host) || 0) >= this.perHostConcurrency) {
+                index++;
+                continue;
+            }
+
+            const lastStart = this.lastStartPerHost.get(job.host);
+            const wait = lastStart === undefined ? 0 : this.delayMs - (Date.now() - lastStart);
+            if (wait > 0) {
+                nextWakeUp = Math.min(nextWakeUp, wait);
+                index++;
+                continue;
+            }
+
+            this.pending.splice(index, 1);
+            this.start(job);
+        }
+
+        // Only hosts held back by the politeness delay need a timer; finished tasks pump on their own
+        if (nextWakeUp !== Infinity && this.active < this.concurrency) {
+            this.timer = setTimeout(() => this.pump(), nextWakeUp);
+        }
+
+        this.checkIdle();
+    }
+
+    start(job) {
+        this.active++;
+        this.activePerHost.set(job.host, (this.activePerHost.get(job.host) || 0) + 1);
+        this.lastStartPerHost.set(job.host, Date.now());
+
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                this.active--;
+                const hostActive = this.activePerHost.get(job.host) - 1;
+                if (hostActive > 0) {
+                    this.activePerHost.set(job.host, hostActive);
+                } else {
+                    this.activePerHost.delete(job.host);
+                }
+                this.pump();
+            });
+    }
+
+    isIdle() {
+        return this.pending.length === 0 && this.active === 0;
+    }
+
+    checkIdle() {
+        if (this.isIdle() && this.idleResolvers.length > 0) {
+            this.idleResolvers.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch (e) {
+            return '';
+        }
+    }
+}
+
+export default DownloadQueue;
@@ -0,0 +1,118 @@
+/**
+ * HAR 1.2 export
+ * Turns the requests recorded by fetchWithCORS() into an HTTP Archive that browser
+ * devtools and HAR viewers can open. Every attempt is one entry, failed ones included.
+ */
+
+const CREATOR = { name: 'DeepFetch Web Resource Downloader', version: '1.0.0' };
+
+function toNameValueList(object = {}) {
+    return Object.entries(object).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function getQueryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+    } catch (error) {
+        return [];
+    }
+}
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so large files don't overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function buildContent(record, includeBodies) {
+    const content = {
+        size: record.size ?? 0,
+        mimeType: record.contentType || 'x-unknown'
+    };
+    if (includeBodies && record.body !== undefined && record.body !== null) {
+        if (typeof record.body === 'string') {
+            content.text = record.body;
+        } else {
+            content.text = arrayBufferToBase64(record.body);
+            content.encoding = 'base64';
+        }
+    }
+    return content;
+}
+
+/**
+ * One HAR entry per recorded attempt:
+ *   { url, attempt, startedAt, durationMs, receiveMs, status, statusText, error,
+ *     requestHeaders, responseHeaders, contentType, size, body, proxyUrl }
+ */
+function buildEntry(record, includeBodies) {
+    const wait = Math.max(0, record.durationMs ?? 0);
+    const receive = Math.max(0, record.receiveMs ?? 0);
+    const entry = {
+        pageref: 'page_1',
+        startedDateTime: record.startedAt,
+        time: wait + receive,
+        request: {
+            method: 'GET',
+            url: record.url,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: toNameValueList(record.requestHeaders),
+            queryString: getQueryString(record.url),
+            headersSize: -1,
+            bodySize: 0
+        },
+        response: {
+            // HAR uses status 0 for requests that never got a response
+            status: record.status ?? 0,
+            statusText: record.statusText || '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: toNameValueList(record.responseHeaders),
+            content: buildContent(record, includeBodies),
+            redirectURL: record.responseHeaders?.location || '',
+            headersSize: -1,
+            bodySize: record.size ?? -1
+        },
+        cache: {},
+        timings: {
+            send: 0,
+            wait,
+            receive
+        },
+        _attempt: record.attempt,
+        _proxyUrl: record.proxyUrl
+    };
+    if (record.error) {
+        entry.response._error = record.error;
+    }
+    return entry;
+}
+
+/**
+ * { log: { version, creator, pages, entries } } for a run that started at `startedAt` (ms)
+ */
+export function buildHar({ pageUrl, startedAt, records, includeBodies = false }) {
+    const entries = records
+        .slice()
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+        .map(record => buildEntry(record, includeBodies));
+
+    return {
+        log: {
+            version: '1.2',
+            creator: CREATOR,
+            pages: [{
+                startedDateTime: new Date(startedAt).toISOString(),
+                id: 'page_1',
+                title: pageUrl,
+                pageTimings: {}
+            }],
+            entries
+        }
+    };
+}
@@ -1,4 +1,3 @@
-import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
 import AdvancedWebResourceDownloader from './advanced-downloader.js';
 
@@ -0,0 +1,99 @@
+/**
+ * Script dependency extraction
+ * Finds what a script loads by itself: ES module imports, workers, importScripts()
+ * and WebAssembly/asset URLs, so native-ESM and worker-based apps can be followed
+ * beyond the scripts the HTML references.
+ */
+
+const QUOTED = String.raw`(["'\x60])([^"'\x60\n]+)\1`;
+
+// Bare specifiers ("react") need an import map
+function isRelativeOrAbsolute(specifier) {
+    return /^(\.{0,2}\/|https?:\/\/)/i.test(specifier);
+}
+
+// Outside of import statements a plain "file.js" is a relative path too
+function isPath(specifier) {
+    return !/^[a-z][a-z\d+.-]*:/i.test(specifier) || /^https?:/i.test(specifier);
+}
+
+const PATTERNS = [
+    // import x from "./a.js", import "./a.js", export * from "./a.js", import{a as b}from"./a.js"
+    {
+        kind: 'import', relativeTo: 'module', accept: isRelativeOrAbsolute,
+        regex: new RegExp(String.raw`(?:^|[^\w$.])(?:import|export)\s*(?:[\w$*{},\s]*?\bfrom\s*)?` + QUOTED, 'g')
+    },
+    // import("./page.js")
+    {
+        kind: 'dynamic-import', relativeTo: 'module', accept: isRelativeOrAbsolute,
+        regex: new RegExp(String.raw`(?:^|[^\w$.])import\(\s*` + QUOTED + String.raw`\s*[,)]`, 'g')
+    },
+    // new Worker(new URL("./worker.js", import.meta.url))
+    {
+        kind: 'worker', relativeTo: 'module', accept: isPath,
+        regex: new RegExp(String.raw`new\s+(?:Shared)?Worker\(\s*new\s+URL\(\s*` + QUOTED + String.raw`\s*,\s*import\.meta\.url`, 'g')
+    },
+    // new URL("./app.wasm", import.meta.url)
+    {
+        kind: 'import-meta-url', relativeTo: 'module', accept: isPath,
+        regex: new RegExp(String.raw`new\s+URL\(\s*` + QUOTED + String.raw`\s*,\s*import\.meta\.url\s*\)`, 'g')
+    },
+    // new Worker("/worker.js"), new SharedWorker("shared.js")
+    {
+        kind: 'worker', relativeTo: 'document', accept: isPath,
+        regex: new RegExp(String.raw`new\s+(?:Shared)?Worker\(\s*` + QUOTED, 'g')
+    },
+    // WebAssembly.instantiateStreaming(fetch("app.wasm")), fetch("app.wasm").then(...)
+    {
+        kind: 'wasm', relativeTo: 'document', accept: isPath,
+        regex: /fetch\(\s*(["'`])([^"'`\n]+\.wasm(?:\?[^"'`\n]*)?)\1/g
+    }
+];
+
+function readStringList(listSource) {
+    const strings = [];
+    const stringRegex = /(["'`])([^"'`\n]+)\1/g;
+    let match;
+    while ((match = stringRegex.exec(listSource)) !== null) {
+        strings.push(match[2]);
+    }
+    return strings;
+}
+
+/**
+ * Everything a script loads, as [{ specifier, kind, relativeTo }].
+ * relativeTo: 'module' resolves against the script's own URL, 'document' against the page
+ * (or, inside a worker, against the worker script).
+ */
+export function findScriptDependencies(code) {
+    const dependencies = new Map();
+    const add = (specifier, kind, relativeTo) => {
+        const key = `${relativeTo} ${specifier}`;
+        if (!dependencies.has(key)) {
+            dependencies.set(key, { specifier, kind, relativeTo });
+        }
+    };
+
+    for (const { kind, relativeTo, accept, regex } of PATTERNS) {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(code)) !== null) {
+            const specifier = match[2].trim();
+            // Template literals with ${} can't be resolved statically
+            if (accept(specifier) && !specifier.includes('${')) {
+                add(specifier, kind, relativeTo);
+            }
+        }
+    }
+
+    // importScripts("a.js", "b.js") resolves against the worker's location, like fetch()
+    const importScriptsRegex = /importScripts\(([^)]*)\)/g;
+    let match;
+    while ((match = importScriptsRegex.exec(code)) !== null) {
+        readStringList(match[1])
+            .filter(specifier => isPath(specifier) && !specifier.includes('${'))
+            .forEach(specifier => add(specifier, 'importScripts', 'document'));
+    }
+
+    return Array.from(dependencies.values());
+}
@@ -0,0 +1,127 @@
+/**
+ * Progressive web app asset discovery
+ * Web app manifests, service worker registrations and the precache lists that
+ * Workbox and the Angular service worker (ngsw.json) keep of every app asset.
+ */
+
+/**
+ * A parsed JSON document that looks like a web app manifest
+ */
+export function isWebAppManifest(json) {
+    return Boolean(json) && typeof json === 'object' && !Array.isArray(json) &&
+        (Array.isArray(json.icons) || 'start_url' in json) &&
+        ('name' in json || 'short_name' in json || 'start_url' in json);
+}
+
+/**
+ * URLs a manifest references: [{ url, field }], relative to the manifest URL
+ */
+export function findManifestUrls(manifest) {
+    const urls = [];
+    const addImages = (images, field) => {
+        if (!Array.isArray(images)) return;
+        images.forEach(image => {
+            if (typeof image?.src === 'string') urls.push({ url: image.src, field });
+        });
+    };
+
+    addImages(manifest.icons, 'icons');
+    addImages(manifest.screenshots, 'screenshots');
+    if (typeof manifest.start_url === 'string') {
+        urls.push({ url: manifest.start_url, field: 'start_url' });
+    }
+    if (Array.isArray(manifest.shortcuts)) {
+        manifest.shortcuts.forEach(shortcut => {
+            if (typeof shortcut?.url === 'string') urls.push({ url: shortcut.url, field: 'shortcuts' });
+            addImages(shortcut?.icons, 'shortcuts');
+        });
+    }
+    return urls;
+}
+
+/**
+ * Service worker scripts registered by page or script code, as written (relative to the page)
+ */
+export function findServiceWorkerRegistrations(code) {
+    const workers = new Set();
+    let match;
+
+    // navigator.serviceWorker.register("/sw.js") and aliases of the container (e.g. `n.register`)
+    const registerRegex = /(serviceWorker)?\.register\(\s*(["'`])([^"'`\n]+)\2/g;
+    while ((match = registerRegex.exec(code)) !== null) {
+        const specifier = match[3].trim();
+        // Without the `serviceWorker.` prefix only well-known worker names are trusted
+        if (match[1] || /(^|\/)(ngsw-worker|sw|service-?worker)[\w.-]*\.js(\?.*)?$/i.test(specifier)) {
+            if (!specifier.includes('${')) workers.add(specifier);
+        }
+    }
+    return Array.from(workers);
+}
+
+// Index of the `]` matching the `[` at i, skipping strings
+function findClosingBracket(code, i) {
+    let depth = 0;
+    for (let j = i; j < code.length; j++) {
+        const ch = code[j];
+        if (ch === '"' || ch === "'" || ch === '`') {
+            for (j++; j < code.length && code[j] !== ch; j++) {
+                if (code[j] === '\\') j++;
+            }
+        } else if (ch === '[') {
+            depth++;
+        } else if (ch === ']' && --depth === 0) {
+            return j;
+        }
+    }
+    return -1;
+}
+
+/**
+ * URLs in Workbox precache lists:
+ *   precacheAndRoute([{ url: "/index.html", revision: "…" }, "/app.4f2a.js"])
+ *   self.__precacheManifest = [{ "url": "…" }].concat(self.__precacheManifest || [])  (Workbox 4)
+ */
+export function findPrecacheUrls(code) {
+    const urls = new Set();
+    const startRegex = /(?:precacheAndRoute|addToCacheList|\.precache)\(\s*(?=\[)|__precacheManifest\s*=\s*(?=\[)/g;
+    let match;
+
+    while ((match = startRegex.exec(code)) !== null) {
+        const start = match.index + match[0].length;
+        const end = findClosingBracket(code, start);
+        if (end === -1) continue;
+        const list = code.slice(start, end + 1);
+
+        // { url: "…" } entries (revision strings follow a colon and are ignored)
+        const entryRegex = /["']?url["']?\s*:\s*(["'])([^"'\n]+)\1/g;
+        let entry;
+        while ((entry = entryRegex.exec(list)) !== null) {
+            urls.add(entry[2]);
+        }
+        // Plain string entries
+        const stringRegex = /[[,]\s*(["'])([^"'\n]+)\1\s*(?=[,\]])/g;
+        while ((entry = stringRegex.exec(list)) !== null) {
+            urls.add(entry[2]);
+        }
+    }
+    return Array.from(urls);
+}
+
+/**
+ * URLs in an Angular ngsw.json: every asset group's list plus the hash table keys
+ */
+export function findNgswUrls(ngsw) {
+    const urls = new Set();
+    (Array.isArray(ngsw?.assetGroups) ? ngsw.assetGroups : []).forEach(group => {
+        (Array.isArray(group?.urls) ? group.urls : []).forEach(url => {
+            if (typeof url === 'string') urls.add(url);
+        });
+    });
+    if (ngsw?.hashTable && typeof ngsw.hashTable === 'object') {
+        Object.keys(ngsw.hashTable).forEach(url => urls.add(url));
+    }
+    if (typeof ngsw?.index === 'string') {
+        urls.add(ngsw.index);
+    }
+    return Array.from(urls);
+}
@@ -0,0 +1,66 @@
+/**
+ * Ranged downloads
+ * Large binaries are fetched in byte ranges rather than one response, so no single request
+ * runs into a proxy's size or time limit and a download that stops part-way can continue
+ * from the last complete range. A server that ignores Range answers 200 with the whole
+ * file, which is used as is.
+ */
+
+// Small enough for one Worker invocation or Netlify response, large enough to keep requests few
+export const RANGE_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// Files fetched in ranges: media, archives, fonts, WebAssembly and raster images. Text is
+// left alone, since it is usually compressed and small.
+const RANGED_EXTENSIONS = /\.(mp4|m4v|m4a|mov|webm|mkv|avi|mp3|ogg|oga|ogv|wav|flac|aac|zip|gz|tgz|bz2|xz|7z|rar|tar|pdf|wasm|woff2?|ttf|otf|eot|png|jpe?g|gif|webp|avif|bmp|ico|tiff?|psd|glb|gltf|bin|dmg|exe|msi|apk|iso)$/i;
+
+export function isRangeCandidate(url) {
+    try {
+        return RANGED_EXTENSIONS.test(new URL(url).pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * `bytes=<start>-<end>` for the chunk starting at `start`
+ */
+export function formatRange(start, chunkBytes = RANGE_CHUNK_BYTES) {
+    return `bytes=${start}-${start + chunkBytes - 1}`;
+}
+
+/**
+ * `bytes 0-99/1234` -> { start: 0, end: 99, total: 1234 }; total is null for `/*`.
+ * Null when the header is missing or malformed.
+ */
+export function parseContentRange(value) {
+    const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec((value || '').trim());
+    if (!match) return null;
+    const [start, end] = [Number(match[1]), Number(match[2])];
+    const total = match[3] === '*' ? null : Number(match[3]);
+    if (end < start || (total !== null && end >= total)) return null;
+    return { start, end, total };
+}
+
+/**
+ * The validator for If-Range: a strong ETag, else Last-Modified. Weak ETags may not be used,
+ * and without a validator a resumed range could come from a different version of the file.
+ */
+export function getRangeValidator(headers) {
+    const etag = headers.get('etag');
+    if (etag && !etag.startsWith('W/')) return etag;
+    return headers.get('last-modified') || null;
+}
+
+/**
+ * [ArrayBuffer or Uint8Array] -> one ArrayBuffer
+ */
+export function concatChunks(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(new Uint8Array(chunk), offset);
+        offset += chunk.byteLength;
+    }
+    return bytes.buffer;
+}
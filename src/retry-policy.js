@@ -0,0 +1,72 @@
+/**
+ * Retry policy for proxied fetches
+ * Decides whether a failed attempt is worth repeating and how long to wait before it.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 4,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+    // A server asking us to wait longer than this won't be waited for
+    maxRetryAfterMs: 60000,
+    // Transient statuses; everything else (403, 404, ...) fails on the first attempt
+    retryStatuses: [408, 425, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524]
+};
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const seconds = Number(value.trim());
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - now);
+    }
+
+    return null;
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of base * 2^(attempt - 1)
+ */
+export function getBackoffDelay(attempt, policy = DEFAULT_RETRY_POLICY) {
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Decide what to do after a failed attempt.
+ * Pass the response for HTTP errors, or the thrown error for timeouts and network failures.
+ * Returns { retry, delayMs, reason }.
+ */
+export function getRetryDecision({ attempt, response = null, error = null, policy = DEFAULT_RETRY_POLICY }) {
+    if (attempt >= policy.maxAttempts) {
+        return { retry: false, delayMs: 0, reason: `gave up after ${attempt} attempts` };
+    }
+
+    if (response) {
+        if (!policy.retryStatuses.includes(response.status)) {
+            return { retry: false, delayMs: 0, reason: `status ${response.status} is not retryable` };
+        }
+
+        const retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+        if (retryAfter !== null) {
+            if (retryAfter > policy.maxRetryAfterMs) {
+                return { retry: false, delayMs: 0, reason: `Retry-After of ${Math.round(retryAfter / 1000)}s is too long` };
+            }
+            return { retry: true, delayMs: retryAfter, reason: `status ${response.status}, honoring Retry-After` };
+        }
+
+        return { retry: true, delayMs: getBackoffDelay(attempt, policy), reason: `status ${response.status}` };
+    }
+
+    // No response at all: timeout (AbortError) or network failure
+    const reason = error?.name === 'AbortError' ? 'timeout' : `network error (${error?.message || 'unknown'})`;
+    return { retry: true, delayMs: getBackoffDelay(attempt, policy), reason };
+}
@@ -0,0 +1,168 @@
+/**
+ * Run persistence
+ * Keeps every run's fetched files and not-yet-finished URLs in IndexedDB, so a capture
+ * survives a reload or crash and can be reopened or resumed later.
+ *
+ * Stores:
+ *   runs    { id, targetUrl, startedAt, updatedAt, status, options, mainPagePath, fileCount, totalSize }
+ *   files   { runId, filename, fileData }   key [runId, filename]
+ *   pending { runId, url }                  key [runId, url]
+ *   chunks  { runId, url, start, data, total, validator, headers }
+ *                                           key [runId, url, start]; ranges of large files
+ *                                           that were still downloading
+ */
+
+const DB_NAME = 'deepfetch';
+const DB_VERSION = 2;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+class RunStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = event => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        db.createObjectStore('runs', { keyPath: 'id' });
+                        db.createObjectStore('files', { keyPath: ['runId', 'filename'] }).createIndex('runId', 'runId');
+                        db.createObjectStore('pending', { keyPath: ['runId', 'url'] }).createIndex('runId', 'runId');
+                    }
+                    if (event.oldVersion < 2) {
+                        db.createObjectStore('chunks', { keyPath: ['runId', 'url', 'start'] }).createIndex('runId', 'runId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async createRun(run) {
+        const db = await this.open();
+        const transaction = db.transaction('runs', 'readwrite');
+        transaction.objectStore('runs').put(run);
+        await transactionDone(transaction);
+        return run;
+    }
+
+    async updateRun(id, changes) {
+        const db = await this.open();
+        const transaction = db.transaction('runs', 'readwrite');
+        const runs = transaction.objectStore('runs');
+        const run = await requestToPromise(runs.get(id));
+        if (run) {
+            runs.put({ ...run, ...changes, updatedAt: new Date().toISOString() });
+        }
+        await transactionDone(transaction);
+    }
+
+    async getRun(id) {
+        const db = await this.open();
+        return requestToPromise(db.transaction('runs').objectStore('runs').get(id));
+    }
+
+    // Newest first
+    async listRuns() {
+        const db = await this.open();
+        const runs = await requestToPromise(db.transaction('runs').objectStore('runs').getAll());
+        return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    /**
+     * Write a batch in one transaction: files to store, pending URLs to add and to remove,
+     * ranges to store and the URLs whose ranges are no longer needed (their file is complete)
+     */
+    async writeBatch(runId, { files = [], addedPending = [], removedPending = [], chunks = [], completedPartials = [] }) {
+        const db = await this.open();
+        const transaction = db.transaction(['files', 'pending', 'chunks'], 'readwrite');
+        const fileStore = transaction.objectStore('files');
+        const pendingStore = transaction.objectStore('pending');
+        const chunkStore = transaction.objectStore('chunks');
+
+        files.forEach(([filename, fileData]) => fileStore.put({ runId, filename, fileData }));
+        addedPending.forEach(url => pendingStore.put({ runId, url }));
+        removedPending.forEach(url => pendingStore.delete([runId, url]));
+        chunks.forEach(chunk => chunkStore.put({ runId, ...chunk }));
+        completedPartials.forEach(url => chunkStore.delete(IDBKeyRange.bound([runId, url, 0], [runId, url, Infinity])));
+
+        await transactionDone(transaction);
+    }
+
+    async loadFiles(runId) {
+        const db = await this.open();
+        const index = db.transaction('files').objectStore('files').index('runId');
+        const records = await requestToPromise(index.getAll(runId));
+        return records.map(({ filename, fileData }) => [filename, fileData]);
+    }
+
+    async listPending(runId) {
+        const db = await this.open();
+        const index = db.transaction('pending').objectStore('pending').index('runId');
+        const records = await requestToPromise(index.getAll(runId));
+        return records.map(({ url }) => url);
+    }
+
+    /**
+     * Partly downloaded files, [{ url, total, validator, headers, chunks: [{ start, data }] }]
+     */
+    async loadPartials(runId) {
+        const db = await this.open();
+        const index = db.transaction('chunks').objectStore('chunks').index('runId');
+        const records = await requestToPromise(index.getAll(runId));
+        const partials = new Map();
+        for (const { url, start, data, total, validator, headers } of records) {
+            if (!partials.has(url)) {
+                partials.set(url, { url, total, validator, headers, chunks: [] });
+            }
+            partials.get(url).chunks.push({ start, data });
+        }
+        return Array.from(partials.values());
+    }
+
+    async deleteRun(runId) {
+        const db = await this.open();
+        const transaction = db.transaction(['runs', 'files', 'pending', 'chunks'], 'readwrite');
+        transaction.objectStore('runs').delete(runId);
+        for (const storeName of ['files', 'pending', 'chunks']) {
+            const index = transaction.objectStore(storeName).index('runId');
+            const keys = await requestToPromise(index.getAllKeys(runId));
+            keys.forEach(key => transaction.objectStore(storeName).delete(key));
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * { usage, quota } in bytes, or null when the browser doesn't tell
+     */
+    async estimateQuota() {
+        if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage: usage || 0, quota: quota || 0 };
+    }
+}
+
+export default RunStore;
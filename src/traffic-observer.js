@@ -0,0 +1,247 @@
+/**
+ * Live traffic observer
+ * Loads captured HTML into a sandboxed iframe (scripts allowed, opaque origin, no access to
+ * this page) and records every request the running page makes for a fixed time window.
+ * An instrumentation script injected at the top of <head> hooks fetch, XMLHttpRequest,
+ * WebSocket and the src/href of <script> and <link> elements, reports each URL to the
+ * parent with postMessage and routes HTTP requests through the CORS proxy.
+ *
+ * WebSockets cannot go through an HTTP proxy, so their URLs are recorded and the page gets
+ * a socket that closes straight away. Resources in the captured markup itself load as they
+ * would in a browser; those were already downloaded by the earlier phases.
+ *
+ * The page's scripts share the frame with the instrumentation, so anything it is given is
+ * theirs too. The script removes itself before they run, which keeps the report token out
+ * of the DOM, but the proxy token shows up in every routed URL: only pass one meant to be
+ * seen (CaptureEngine's observerProxyToken), never the app's own proxy token.
+ */
+
+// Runs inside the frame. Stringified into the page, so it must not use anything from this module.
+function instrumentPage({ token, proxyUrl, proxyToken }) {
+    // Gone before the page's own scripts can read the config from it
+    document.currentScript?.remove();
+    const parentWindow = window.parent;
+    const report = (kind, url, method) => {
+        let absolute;
+        try {
+            absolute = new URL(String(url), document.baseURI).href;
+        } catch (error) {
+            return null;
+        }
+        parentWindow.postMessage({ deepfetchTraffic: token, kind, url: absolute, method: String(method || 'GET').toUpperCase() }, '*');
+        return absolute;
+    };
+    // Script and link loads can't send an Authorization header, so the proxy token goes in the query
+    const tokenParam = proxyToken ? `&access_token=${encodeURIComponent(proxyToken)}` : '';
+    const route = absolute => (proxyUrl && /^https?:/.test(absolute) && !absolute.startsWith(proxyUrl)
+        ? `${proxyUrl}?url=${encodeURIComponent(absolute)}${tokenParam}`
+        : absolute);
+
+    const nativeFetch = window.fetch;
+    window.fetch = function (input, init = {}) {
+        const request = input instanceof Request ? input : null;
+        const absolute = report('fetch', request ? request.url : input, init.method || request?.method);
+        if (!absolute) return nativeFetch.call(window, input, init);
+        // The frame's origin is opaque, so credentials could never be sent anyway
+        const routed = request ? new Request(route(absolute), request) : route(absolute);
+        return nativeFetch.call(window, routed, { ...init, credentials: 'omit' });
+    };
+
+    const nativeOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        const absolute = report('xhr', url, method);
+        return nativeOpen.call(this, method, absolute ? route(absolute) : url, ...rest);
+    };
+
+    class RecordedWebSocket extends EventTarget {
+        constructor(url) {
+            super();
+            this.url = report('websocket', url) || String(url);
+            this.readyState = RecordedWebSocket.CLOSED;
+            this.protocol = '';
+            this.extensions = '';
+            this.binaryType = 'blob';
+            this.bufferedAmount = 0;
+            this.onopen = this.onmessage = this.onerror = this.onclose = null;
+            setTimeout(() => {
+                this.fire(new Event('error'));
+                this.fire(new CloseEvent('close', { code: 1006, wasClean: false }));
+            });
+        }
+
+        fire(event) {
+            this.dispatchEvent(event);
+            this[`on${event.type}`]?.call(this, event);
+        }
+
+        send() {}
+
+        close() {}
+    }
+    Object.assign(RecordedWebSocket, { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 });
+    window.WebSocket = RecordedWebSocket;
+
+    // Script and link URLs are rewritten when they are set, before the element can load them.
+    // Connection hints fetch nothing and are left alone.
+    const isConnectionHint = element => element instanceof HTMLLinkElement && /\b(preconnect|dns-prefetch)\b/i.test(element.rel);
+    const routeElementUrl = (element, value) => {
+        if (isConnectionHint(element)) return value;
+        const absolute = report(element instanceof HTMLScriptElement ? 'script' : 'link', value);
+        return absolute ? route(absolute) : value;
+    };
+    const hookUrlProperty = (prototype, property) => {
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+        Object.defineProperty(prototype, property, {
+            ...descriptor,
+            set(value) {
+                descriptor.set.call(this, routeElementUrl(this, value));
+            }
+        });
+    };
+    hookUrlProperty(HTMLScriptElement.prototype, 'src');
+    hookUrlProperty(HTMLLinkElement.prototype, 'href');
+
+    const nativeSetAttribute = Element.prototype.setAttribute;
+    Element.prototype.setAttribute = function (name, value) {
+        const attribute = String(name).toLowerCase();
+        if ((this instanceof HTMLScriptElement && attribute === 'src') || (this instanceof HTMLLinkElement && attribute === 'href')) {
+            return nativeSetAttribute.call(this, name, routeElementUrl(this, value));
+        }
+        return nativeSetAttribute.call(this, name, value);
+    };
+
+    // Elements inserted as markup (innerHTML, insertAdjacentHTML) skip the hooks above; they are
+    // still recorded. Parser-inserted elements before DOMContentLoaded are the static page.
+    document.addEventListener('DOMContentLoaded', () => {
+        new MutationObserver(mutations => {
+            for (const mutation of mutations) {
+                for (const node of mutation.addedNodes) {
+                    if (node instanceof HTMLScriptElement && node.getAttribute('src')) {
+                        report('script', node.getAttribute('src'));
+                    } else if (node instanceof HTMLLinkElement && node.getAttribute('href') && !isConnectionHint(node)) {
+                        report('link', node.getAttribute('href'));
+                    }
+                }
+            }
+        }).observe(document, { childList: true, subtree: true });
+    });
+
+    // An opaque origin has no storage or cookies and can't change its URL; frameworks give up
+    // when those throw, so the page gets in-memory stand-ins
+    const memoryStorage = () => {
+        const items = new Map();
+        return {
+            get length() { return items.size; },
+            key: index => Array.from(items.keys())[index] ?? null,
+            getItem: key => (items.has(String(key)) ? items.get(String(key)) : null),
+            setItem: (key, value) => { items.set(String(key), String(value)); },
+            removeItem: key => { items.delete(String(key)); },
+            clear: () => items.clear()
+        };
+    };
+    for (const name of ['localStorage', 'sessionStorage']) {
+        Object.defineProperty(window, name, { value: memoryStorage(), configurable: true });
+    }
+    const cookies = new Map();
+    Object.defineProperty(document, 'cookie', {
+        get: () => Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; '),
+        set: value => {
+            const [pair] = String(value).split(';');
+            const separator = pair.indexOf('=');
+            if (separator < 0) return;
+            cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1));
+        },
+        configurable: true
+    });
+    for (const method of ['pushState', 'replaceState']) {
+        const native = history[method];
+        history[method] = function (state, title, url) {
+            try {
+                return native.call(history, state, title, url);
+            } catch (error) {
+                return native.call(history, state, title);
+            }
+        };
+    }
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * The captured page with a <base> for its real URL, its CSP meta tags removed (they would
+ * block the proxy) and the instrumentation script ahead of everything else
+ */
+export function buildInstrumentedHtml(html, pageUrl, { token, proxyUrl = null, proxyToken = null }) {
+    let baseUrl = pageUrl;
+    const baseMatch = html.match(/<base\b[^>]*\bhref\s*=\s*["']?([^"'\s>]+)/i);
+    if (baseMatch) {
+        try {
+            baseUrl = new URL(baseMatch[1], pageUrl).href;
+        } catch (error) {
+            // Keep the page URL
+        }
+    }
+
+    const config = JSON.stringify({ token, proxyUrl, proxyToken }).replace(/</g, '\\u003c');
+    const injected = `<base href="${escapeAttribute(baseUrl)}">`
+        + `<script>(${instrumentPage.toString()})(${config});</script>`;
+    const page = html.replace(/<meta\b[^>]*http-equiv\s*=\s*["']?content-security-policy[^>]*>/gi, '');
+
+    const head = page.match(/<head\b[^>]*>/i) || page.match(/<html\b[^>]*>/i);
+    if (!head) {
+        return injected + page;
+    }
+    const insertAt = head.index + head[0].length;
+    return page.slice(0, insertAt) + injected + page.slice(insertAt);
+}
+
+/**
+ * Run `html` as if it were loaded from `pageUrl` for `durationMs` and resolve with the
+ * requests it made: [{ url, kind, method, atMs }], each URL/kind/method once.
+ * kind is fetch | xhr | websocket | script | link. Aborting `signal` ends the window early.
+ */
+export function observePageTraffic({ html, pageUrl, proxyUrl = null, proxyToken = null, durationMs = 10000, signal = null }) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve([]);
+            return;
+        }
+        const token = Math.random().toString(36).slice(2);
+        const startedAt = Date.now();
+        const requests = [];
+        const seen = new Set();
+
+        const frame = document.createElement('iframe');
+        frame.setAttribute('sandbox', 'allow-scripts');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        // Laid out at a desktop size so lazy loading behaves, but off screen
+        frame.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 1280px; height: 800px; border: 0;';
+
+        const onMessage = event => {
+            if (event.source !== frame.contentWindow || event.data?.deepfetchTraffic !== token) return;
+            const { url, kind, method } = event.data;
+            const key = `${kind} ${method} ${url}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            requests.push({ url, kind, method, atMs: Date.now() - startedAt });
+        };
+
+        let timer = null;
+        const finish = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', finish);
+            window.removeEventListener('message', onMessage);
+            frame.remove();
+            resolve(requests);
+        };
+
+        window.addEventListener('message', onMessage);
+        signal?.addEventListener('abort', finish);
+        frame.srcdoc = buildInstrumentedHtml(html, pageUrl, { token, proxyUrl, proxyToken });
+        document.body.appendChild(frame);
+        timer = setTimeout(finish, durationMs);
+    });
+}
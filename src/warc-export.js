@@ -0,0 +1,169 @@
+/**
+ * WARC/1.1 export
+ * Writes a warcinfo record followed by one `response` record per fetched URL. A response
+ * that came through redirects is stored under the URL it came from, with a `metadata`
+ * record for the URL that was asked for referring to it. Every record is gzipped on its own and the members are concatenated, which is the
+ * `.warc.gz` layout replay tools (pywb, ReplayWeb.page, warcio) expect.
+ */
+
+const CRLF = '\r\n';
+const encoder = new TextEncoder();
+
+// Hop-by-hop and encoding headers describe the wire format, but the stored body is decoded
+const DROPPED_HTTP_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length', 'connection', 'keep-alive'];
+
+const REASON_PHRASES = {
+    200: 'OK',
+    201: 'Created',
+    203: 'Non-Authoritative Information',
+    204: 'No Content',
+    206: 'Partial Content'
+};
+
+export function isGzipSupported() {
+    return typeof CompressionStream !== 'undefined';
+}
+
+function createRecordId() {
+    const uuid = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, ch => {
+            const random = Math.random() * 16 | 0;
+            return (ch === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    return `<urn:uuid:${uuid}>`;
+}
+
+function toBytes(content) {
+    if (typeof content === 'string') return encoder.encode(content);
+    if (content instanceof Uint8Array) return content;
+    return new Uint8Array(content);
+}
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+// RFC 4648 base32, the encoding WARC digests use
+function toBase32(bytes) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += alphabet[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += alphabet[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+// Digests need SubtleCrypto, which only exists in secure contexts; they are optional in WARC
+async function sha1Digest(bytes) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+    const hash = await crypto.subtle.digest('SHA-1', bytes);
+    return `sha1:${toBase32(new Uint8Array(hash))}`;
+}
+
+async function gzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// application/warc-fields: one `name: value` line per field
+function formatFields(fields) {
+    return fields
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => `${name}: ${String(value).replace(/\r?\n/g, ' ')}`)
+        .join(CRLF) + CRLF;
+}
+
+async function buildRecord(headers, block, compress) {
+    const headerLines = Object.entries({ ...headers, 'Content-Length': block.length })
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `${name}: ${value}`);
+    const record = concatBytes([
+        encoder.encode(`WARC/1.1${CRLF}${headerLines.join(CRLF)}${CRLF}${CRLF}`),
+        block,
+        encoder.encode(CRLF + CRLF)
+    ]);
+    return compress ? gzip(record) : record;
+}
+
+function buildHttpResponseBlock({ status, statusText, headers, body }) {
+    const reason = statusText || REASON_PHRASES[status] || 'OK';
+    const headerLines = Object.entries(headers || {})
+        .filter(([name]) => !DROPPED_HTTP_HEADERS.includes(name.toLowerCase()))
+        .map(([name, value]) => `${name}: ${value}`);
+    headerLines.push(`Content-Length: ${body.length}`);
+
+    const head = encoder.encode(`HTTP/1.1 ${status} ${reason}${CRLF}${headerLines.join(CRLF)}${CRLF}${CRLF}`);
+    return concatBytes([head, body]);
+}
+
+/**
+ * Build the archive.
+ *   info: { filename, date, fields: { name: value } } for the warcinfo record
+ *   responses: [{ url, date, status, statusText, headers, content, redirect }], url being
+ *     where the body came from; redirect is { from, chain: [{ status, url }] } when it was
+ *     asked for at another URL
+ * Returns a Blob; records are gzipped unless `compress` is false.
+ */
+export async function buildWarc({ info, responses, compress = true }) {
+    const warcinfoId = createRecordId();
+    const fields = formatFields(Object.entries(info.fields));
+
+    const parts = [await buildRecord({
+        'WARC-Type': 'warcinfo',
+        'WARC-Record-ID': warcinfoId,
+        'WARC-Date': info.date,
+        'WARC-Filename': info.filename,
+        'Content-Type': 'application/warc-fields'
+    }, encoder.encode(fields), compress)];
+
+    for (const response of responses) {
+        const body = toBytes(response.content);
+        const block = buildHttpResponseBlock({ ...response, body });
+        const responseId = createRecordId();
+        parts.push(await buildRecord({
+            'WARC-Type': 'response',
+            'WARC-Record-ID': responseId,
+            'WARC-Date': response.date,
+            'WARC-Target-URI': response.url,
+            'WARC-Warcinfo-ID': warcinfoId,
+            'WARC-Block-Digest': await sha1Digest(block),
+            'WARC-Payload-Digest': await sha1Digest(body),
+            'Content-Type': 'application/http;msgtype=response'
+        }, block, compress));
+        
+        if (response.redirect) {
+            const hops = response.redirect.chain.map(({ status, url }) => ['redirect', `${status} ${url}`]);
+            parts.push(await buildRecord({
+                'WARC-Type': 'metadata',
+                'WARC-Record-ID': createRecordId(),
+                'WARC-Date': response.date,
+                'WARC-Target-URI': response.redirect.from,
+                'WARC-Refers-To': responseId,
+                'WARC-Refers-To-Target-URI': response.url,
+                'WARC-Refers-To-Date': response.date,
+                'WARC-Warcinfo-ID': warcinfoId,
+                'Content-Type': 'application/warc-fields'
+            }, encoder.encode(formatFields([...hops, ['final-url', response.url]])), compress));
+        }
+    }
+
+    return new Blob(parts, { type: compress ? 'application/gzip' : 'application/warc' });
+}
@@ -0,0 +1,247 @@
+/**
+ * Streaming ZIP writer
+ * Writes entries one at a time to a sink instead of assembling the archive in memory:
+ * each entry is (optionally) deflated, checksummed and written with its local header,
+ * and only the small central directory is kept until the archive is closed. Archives
+ * can be split into self-contained parts at a size threshold.
+ *
+ * A sink is { write(Uint8Array): Promise, close(): Promise }.
+ */
+
+const encoder = new TextEncoder();
+
+// Plain ZIP (no ZIP64) limits; a part is closed before it would cross them
+const MAX_ZIP_BYTES = 0xFFFFFFFF;
+const MAX_ZIP_ENTRIES = 0xFFFF;
+
+// Already-compressed formats gain nothing from deflate
+const STORED_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|ico|woff2?|mp[34]|webm|ogg|zip|gz|br|wasm)$/i;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toBytes(content) {
+    if (typeof content === 'string') return encoder.encode(content);
+    if (content instanceof Uint8Array) return content;
+    return new Uint8Array(content);
+}
+
+export function isDeflateSupported() {
+    try {
+        return typeof CompressionStream !== 'undefined' && Boolean(new CompressionStream('deflate-raw'));
+    } catch (error) {
+        return false;
+    }
+}
+
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Compress and checksum one entry: { name, nameBytes, crc, method, data, size }
+ */
+async function prepareEntry(name, content, compress) {
+    const bytes = toBytes(content);
+    let data = bytes;
+    let method = 0;
+    if (compress && bytes.length > 0 && !STORED_EXTENSIONS.test(name)) {
+        const deflated = await deflateRaw(bytes);
+        if (deflated.length < bytes.length) {
+            data = deflated;
+            method = 8;
+        }
+    }
+    return { name, nameBytes: encoder.encode(name), crc: crc32(bytes), method, data, size: bytes.length };
+}
+
+// 30-byte local header + name + data, and the 46-byte central record + name it adds
+function entryFootprint(entry) {
+    return 30 + 46 + 2 * entry.nameBytes.length + entry.data.length;
+}
+
+class ZipStreamWriter {
+    constructor(sink, { date = new Date() } = {}) {
+        this.sink = sink;
+        this.dosDateTime = toDosDateTime(date);
+        this.centralDirectory = [];
+        this.centralSize = 0;
+        this.bytesWritten = 0;
+    }
+
+    get entryCount() {
+        return this.centralDirectory.length;
+    }
+
+    // Would adding this entry (plus the end record) push the archive past `limit` bytes?
+    wouldExceed(entry, limit) {
+        return this.bytesWritten + this.centralSize + entryFootprint(entry) + 22 > limit;
+    }
+
+    async write(bytes) {
+        await this.sink.write(bytes);
+        this.bytesWritten += bytes.length;
+    }
+
+    async addEntry(entry) {
+        const { time, date } = this.dosDateTime;
+        const offset = this.bytesWritten;
+        // Bit 11: the name is UTF-8
+        const flags = 0x0800;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, flags, true);
+        local.setUint16(8, entry.method, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, entry.crc, true);
+        local.setUint32(18, entry.data.length, true);
+        local.setUint32(22, entry.size, true);
+        local.setUint16(26, entry.nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        await this.write(new Uint8Array(local.buffer));
+        await this.write(entry.nameBytes);
+        await this.write(entry.data);
+
+        const central = new Uint8Array(46 + entry.nameBytes.length);
+        const view = new DataView(central.buffer);
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, 20, true);
+        view.setUint16(8, flags, true);
+        view.setUint16(10, entry.method, true);
+        view.setUint16(12, time, true);
+        view.setUint16(14, date, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, entry.data.length, true);
+        view.setUint32(24, entry.size, true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        view.setUint32(42, offset, true);
+        central.set(entry.nameBytes, 46);
+        this.centralDirectory.push(central);
+        this.centralSize += central.length;
+    }
+
+    async close() {
+        const start = this.bytesWritten;
+        for (const record of this.centralDirectory) {
+            await this.write(record);
+        }
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entryCount, true);
+        end.setUint16(10, this.entryCount, true);
+        end.setUint32(12, this.bytesWritten - start, true);
+        end.setUint32(16, start, true);
+        await this.write(new Uint8Array(end.buffer));
+        await this.sink.close();
+    }
+}
+
+/**
+ * Write `entries` ([name, content] pairs, any iterable) as one or more ZIP archives.
+ *   openPart(partNumber) -> sink for the next archive
+ *   splitBytes: start a new part before one would grow past this size (0 = one archive)
+ *   onProgress({ entriesDone, totalEntries, bytesWritten, part }) is awaited after every entry
+ * An entry larger than the threshold gets a part of its own. Returns the number of parts.
+ */
+export async function writeZipArchive(entries, { openPart, splitBytes = 0, compress = true, date, onProgress }) {
+    const list = Array.from(entries);
+    const limit = splitBytes > 0 ? Math.min(splitBytes, MAX_ZIP_BYTES) : MAX_ZIP_BYTES;
+    const useDeflate = compress && isDeflateSupported();
+
+    let part = 1;
+    let writer = new ZipStreamWriter(await openPart(part), { date });
+    let bytesBefore = 0;
+
+    for (let i = 0; i < list.length; i++) {
+        const [name, content] = list[i];
+        const entry = await prepareEntry(name, content, useDeflate);
+
+        if (writer.entryCount > 0 && (writer.wouldExceed(entry, limit) || writer.entryCount >= MAX_ZIP_ENTRIES)) {
+            await writer.close();
+            bytesBefore += writer.bytesWritten;
+            writer = new ZipStreamWriter(await openPart(++part), { date });
+        }
+        if (entryFootprint(entry) + 22 > MAX_ZIP_BYTES) {
+            throw new Error(`${name} is too large for a ZIP archive without ZIP64`);
+        }
+
+        await writer.addEntry(entry);
+        if (onProgress) {
+            await onProgress({ entriesDone: i + 1, totalEntries: list.length, bytesWritten: bytesBefore + writer.bytesWritten, part });
+        }
+    }
+
+    await writer.close();
+    return part;
+}
+
+/**
+ * Sink for a File System Access API file handle; bytes go straight to disk
+ */
+export async function createFileHandleSink(fileHandle) {
+    const writable = await fileHandle.createWritable();
+    return {
+        write: bytes => writable.write(bytes),
+        close: () => writable.close()
+    };
+}
+
+/**
+ * Fallback sink: buffers writes and folds them into Blobs every `chunkBytes`, which lets
+ * the browser move the data out of the JS heap. `save(blob)` gets the finished archive.
+ */
+export function createBlobSink(save, chunkBytes = 16 * 1024 * 1024) {
+    const blobs = [];
+    let chunks = [];
+    let buffered = 0;
+
+    const fold = () => {
+        if (chunks.length === 0) return;
+        blobs.push(new Blob(chunks));
+        chunks = [];
+        buffered = 0;
+    };
+
+    return {
+        async write(bytes) {
+            chunks.push(bytes);
+            buffered += bytes.length;
+            if (buffered >= chunkBytes) fold();
+        },
+        async close() {
+            fold();
+            await save(new Blob(blobs, { type: 'application/zip' }));
+        }
+    };
+}